@@ -1,6 +1,7 @@
 /* eslint-disable no-continue */
 
 import { Node } from './node.js';
+import { SourceLocator } from './source-locator.js';
 
 const REGEX = {
     atRuleName: /[a-zA-Z\-]/,
@@ -29,6 +30,11 @@ class CSSParser {
      */
     #length = 0;
 
+    /**
+     * @type {SourceLocator|null} Maps offsets in the CSS string to line and column numbers
+     */
+    #locator = null;
+
     /**
      * @type {number} Current position in the CSS string
      */
@@ -42,16 +48,21 @@ class CSSParser {
     }
 
     /**
-     * Parses a CSS string into a tree structure using Node objects.
+     * Parses a CSS string into a tree structure using Node objects. Every node records its
+     * `position`, and rules record the position of each declaration in `cssDeclarationPositions`.
      * @param {string} css - The CSS content to parse
+     * @param {import('./source-locator.js').SourceLocation} [origin] - Location of the CSS within a
+     *        larger document (e.g. the start of a style tag's content); defaults to the start of `css`
      * @returns {Node} Root node containing the parsed CSS tree
      */
-    parse(css) {
+    parse(css, origin = undefined) {
         this.#css = css;
         this.#pos = 0;
         this.#length = css.length;
+        this.#locator = new SourceLocator(css, origin);
 
         const root = new Node('css-root');
+        root.position = this.#locator.span(0, this.#length);
 
         while (this.#pos < this.#length) {
             this.#skipWhitespace();
@@ -145,6 +156,7 @@ class CSSParser {
             return null;
         }
 
+        const start = this.#pos;
         this.#pos += 1; // Skip @
 
         // Get the at-rule name (e.g., 'media', 'keyframes', 'supports')
@@ -162,14 +174,15 @@ class CSSParser {
         // Special handling for @import, @charset, etc. (statement-style at-rules)
         if (name === 'import' || name === 'charset' || name === 'namespace') {
             // These don't have blocks, just read until semicolon
-            const start = this.#pos;
+            const paramsStart = this.#pos;
             while (this.#pos < this.#length && this.#peek() !== ';') {
                 this.#pos += 1;
             }
-            atRule.cssParams = this.#css.substring(start, this.#pos).trim();
+            atRule.cssParams = this.#css.substring(paramsStart, this.#pos).trim();
             if (this.#peek() === ';') {
                 this.#pos += 1;
             }
+            atRule.position = this.#locator.span(start, this.#pos);
             return atRule;
         }
 
@@ -203,6 +216,7 @@ class CSSParser {
             this.#parseBlock(atRule);
         }
 
+        atRule.position = this.#locator.span(start, this.#pos);
         return atRule;
     }
 
@@ -271,6 +285,7 @@ class CSSParser {
             return null;
         }
 
+        const open = this.#pos;
         this.#pos += 2; // Skip /*
 
         const start = this.#pos;
@@ -287,6 +302,7 @@ class CSSParser {
         const comment = new Node('comment');
         comment.content = this.#css.substring(start, end);
         comment.commentType = 'css';
+        comment.position = this.#locator.span(open, this.#pos);
 
         return comment;
     }
@@ -342,10 +358,14 @@ class CSSParser {
         if (!rule.cssDeclarations) {
             rule.cssDeclarations = {};
         }
+        if (!rule.cssDeclarationPositions) {
+            rule.cssDeclarationPositions = {};
+        }
 
         // Add declaration to rule
         if (property && value) {
             rule.cssDeclarations[property] = value;
+            rule.cssDeclarationPositions[property] = this.#locator.span(propStart, valueStart + value.length);
         }
 
         // Skip semicolon if present
@@ -388,10 +408,12 @@ class CSSParser {
         const rule = new Node('css-rule', selector, {}, parent);
         rule.cssSelector = selector;
         rule.cssDeclarations = {};
+        rule.cssDeclarationPositions = {};
 
         this.#pos += 1; // Skip opening brace
         this.#parseBlock(rule);
 
+        rule.position = this.#locator.span(selectorStart, this.#pos);
         return rule;
     }
 
@@ -0,0 +1,283 @@
+const REGEX = {
+    attribute: /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,
+    comment: /<!--[\s\S]*?(?:-->|$)/g,
+    contentCharset: /(charset\s*=\s*)(["']?)([^\s"';]+)\2/i,
+    metaTag: /<meta[\s/][^>]*>/gi,
+    xmlDeclaration: /^<\?xml\s[^>]*\?>/,
+    xmlDeclarationEncoding: /(\bencoding\s*=\s*)(["'])([^"']*)\2/,
+    xmlDeclarationVersion: /\bversion\s*=\s*(["'])[^"']*\1/
+};
+
+/**
+ * Byte order marks and the encodings they identify; a BOM overrides any declared encoding.
+ */
+const BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+/**
+ * Number of bytes searched for a meta charset declaration, as in the HTML spec's prescan.
+ */
+const PRESCAN_LENGTH = 1024;
+
+/**
+ * @type {Map<string, Map<string, number>>} Byte of each character, per single-byte encoding
+ */
+const singleByteTables = new Map();
+
+/**
+ * Resolves an encoding label to the canonical name TextDecoder uses for it, e.g. 'latin1' to
+ * 'windows-1252'.
+ * @param {string} label - Encoding label, in any case
+ * @returns {string|null} The canonical encoding name, or null if the label is unknown
+ */
+const canonicalEncoding = (label) => {
+    try {
+        return new TextDecoder(label.trim()).encoding;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Finds the charset declared by the `content` attribute of an http-equiv content-type meta tag.
+ * @param {string} content - Attribute value, e.g. 'text/html; charset=iso-8859-1'
+ * @returns {string|null} The declared charset label, or null if there is none
+ */
+const getContentCharset = (content) => {
+    return content.match(REGEX.contentCharset)?.[3] ?? null;
+};
+
+/**
+ * Replaces the charset declared by the `content` attribute of an http-equiv content-type meta tag.
+ * @param {string} content - Attribute value, e.g. 'text/html; charset=iso-8859-1'
+ * @param {string} encoding - Charset to declare instead
+ * @returns {string} The updated attribute value
+ */
+const setContentCharset = (content, encoding) => {
+    return content.replace(REGEX.contentCharset, (match, prefix, quote) => {
+        return `${prefix}${quote}${encoding}${quote}`;
+    });
+};
+
+/**
+ * Finds the encoding declared by an XML declaration's data, e.g. `version="1.0" encoding="UTF-8"`.
+ * @param {string} data - Content of the `<?xml ...?>` processing instruction
+ * @returns {string|null} The declared encoding label, or null if there is none
+ */
+const getDeclarationEncoding = (data) => {
+    return data.match(REGEX.xmlDeclarationEncoding)?.[3] ?? null;
+};
+
+/**
+ * Replaces (or adds) the encoding declared by an XML declaration's data.
+ * @param {string} data - Content of the `<?xml ...?>` processing instruction
+ * @param {string} encoding - Encoding to declare instead
+ * @returns {string} The updated data
+ */
+const setDeclarationEncoding = (data, encoding) => {
+    if (REGEX.xmlDeclarationEncoding.test(data)) {
+        return data.replace(REGEX.xmlDeclarationEncoding, (match, prefix, quote) => {
+            return `${prefix}${quote}${encoding}${quote}`;
+        });
+    }
+
+    // The encoding must follow the version, which every declaration starts with
+    const version = data.match(REGEX.xmlDeclarationVersion);
+    if (!version) {
+        return `${data} encoding="${encoding}"`.trim();
+    }
+    const versionEnd = version.index + version[0].length;
+    return `${data.substring(0, versionEnd)} encoding="${encoding}"${data.substring(versionEnd)}`;
+};
+
+/**
+ * Reads the encoding declared by an XML declaration at the very start of a document.
+ * @param {Uint8Array} bytes - The document's bytes
+ * @returns {string|null} The canonical name of the declared encoding, or null if there is none
+ */
+const prescanXmlDeclaration = (bytes) => {
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, PRESCAN_LENGTH));
+    const declaration = head.match(REGEX.xmlDeclaration);
+    const label = declaration ? getDeclarationEncoding(declaration[0]) : null;
+    const encoding = label === null ? null : canonicalEncoding(label);
+
+    // As with meta tags, a declaration that could be read as ASCII cannot really be UTF-16
+    return encoding?.startsWith('utf-16') ? 'utf-8' : encoding;
+};
+
+/**
+ * Searches the start of a document for a meta tag declaring its encoding: either a `charset`
+ * attribute or an http-equiv content-type with a charset. Comments are skipped.
+ * @param {Uint8Array} bytes - The document's bytes
+ * @returns {string|null} The canonical name of the declared encoding, or null if there is none
+ */
+const prescanMeta = (bytes) => {
+    // Every encoding a meta tag can declare is ASCII compatible, so the markup can be searched as
+    // Latin-1 before the real encoding is known
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, PRESCAN_LENGTH));
+    const markup = head.replace(REGEX.comment, '');
+
+    for (const [tag] of markup.matchAll(REGEX.metaTag)) {
+        const attributes = {};
+        for (const [, name, ...values] of tag.slice(5).matchAll(REGEX.attribute)) {
+            const key = name.toLowerCase();
+            if (!(key in attributes)) {
+                attributes[key] = values.find((value) => { return value !== undefined; }) ?? '';
+            }
+        }
+
+        let label = attributes.charset ?? null;
+        if (label === null && attributes['http-equiv']?.toLowerCase() === 'content-type') {
+            label = getContentCharset(attributes.content ?? '');
+        }
+
+        const encoding = label === null ? null : canonicalEncoding(label);
+        if (encoding) {
+            // A document that could be read this far as ASCII cannot really be UTF-16
+            return encoding.startsWith('utf-16') ? 'utf-8' : encoding;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Detects the character encoding of an HTML document from its bytes: a byte order mark first, then
+ * a `<meta charset>` or http-equiv content-type declaration near the start of the document. An XML
+ * document declares its encoding in its `<?xml ...?>` declaration instead.
+ * @param {Uint8Array} bytes - The document's bytes
+ * @param {string} [fallback='utf-8'] - Encoding to assume when the document does not declare one
+ * @param {boolean} [xml=false] - Whether the document is XML
+ * @returns {{encoding: string, source: string}} The canonical encoding name and where it was found:
+ *          'bom', 'meta', 'declaration' or 'default'
+ */
+const sniffEncoding = (bytes, fallback = 'utf-8', xml = false) => {
+    const bom = BOMS.find((candidate) => {
+        return candidate.bytes.every((byte, index) => { return bytes[index] === byte; });
+    });
+    if (bom) {
+        return { encoding: bom.encoding, source: 'bom' };
+    }
+
+    const declared = xml ? prescanXmlDeclaration(bytes) : prescanMeta(bytes);
+    if (declared) {
+        return { encoding: declared, source: xml ? 'declaration' : 'meta' };
+    }
+
+    const encoding = canonicalEncoding(fallback);
+    if (!encoding) {
+        throw new Error(`Unknown character encoding: ${fallback}`);
+    }
+    return { encoding, source: 'default' };
+};
+
+/**
+ * Decodes an HTML document's bytes using the encoding detected by sniffEncoding(). A byte order
+ * mark is removed; invalid byte sequences become U+FFFD replacement characters.
+ * @param {Uint8Array} bytes - The document's bytes
+ * @param {string} [fallback='utf-8'] - Encoding to assume when the document does not declare one
+ * @param {boolean} [xml=false] - Whether the document is XML
+ * @returns {{encoding: string, text: string}} The encoding used and the decoded text
+ */
+const decodeBytes = (bytes, fallback = 'utf-8', xml = false) => {
+    const { encoding } = sniffEncoding(bytes, fallback, xml);
+    return { encoding, text: new TextDecoder(encoding).decode(bytes) };
+};
+
+/**
+ * Builds the table mapping characters to bytes for a single-byte encoding.
+ * @param {string} encoding - Canonical encoding name
+ * @returns {Map<string, number>|null} The table, or null if the encoding is not single-byte
+ */
+const getSingleByteTable = (encoding) => {
+    if (!singleByteTables.has(encoding)) {
+        const bytes = Uint8Array.from({ length: 256 }, (value, index) => { return index; });
+        const characters = new TextDecoder(encoding).decode(bytes);
+        let table = null;
+
+        // A single-byte encoding decodes each byte to exactly one character
+        if (characters.length === 256) {
+            table = new Map();
+            for (let byte = 255; byte >= 0; byte--) {
+                if (characters[byte] !== '\uFFFD') {
+                    table.set(characters[byte], byte);
+                }
+            }
+        }
+        singleByteTables.set(encoding, table);
+    }
+    return singleByteTables.get(encoding);
+};
+
+/**
+ * Checks whether text can be encoded into an encoding by encodeText().
+ * @param {string} encoding - Canonical encoding name
+ * @returns {boolean} True for UTF-8, UTF-16 and the single-byte encodings
+ */
+const canEncode = (encoding) => {
+    return ['utf-8', 'utf-16le', 'utf-16be'].includes(encoding) || getSingleByteTable(encoding) !== null;
+};
+
+/**
+ * Encodes text into bytes. UTF-8, UTF-16 and the single-byte encodings (windows-1252, the
+ * iso-8859 family, koi8-r, etc.) are supported; characters a single-byte encoding cannot represent
+ * are written as numeric character references, as browsers do. UTF-16 output starts with a byte
+ * order mark.
+ * @param {string} text - Text to encode
+ * @param {string} [encoding='utf-8'] - Encoding label
+ * @returns {Uint8Array} The encoded bytes
+ */
+const encodeText = (text, encoding = 'utf-8') => {
+    const name = canonicalEncoding(encoding);
+    if (!name) {
+        throw new Error(`Unknown character encoding: ${encoding}`);
+    }
+
+    if (name === 'utf-8') {
+        return new TextEncoder().encode(text);
+    }
+
+    // UTF-16 starts with a byte order mark, since it is the only way to detect it
+    if (name === 'utf-16le' || name === 'utf-16be') {
+        const bytes = new Uint8Array((text.length + 1) * 2);
+        const view = new DataView(bytes.buffer);
+        const littleEndian = name === 'utf-16le';
+        view.setUint16(0, 0xFEFF, littleEndian);
+        for (let i = 0; i < text.length; i++) {
+            view.setUint16((i + 1) * 2, text.charCodeAt(i), littleEndian);
+        }
+        return bytes;
+    }
+
+    const table = getSingleByteTable(name);
+    if (!table) {
+        throw new Error(`Encoding to ${name} is not supported; use UTF-8, UTF-16 or a single-byte encoding`);
+    }
+
+    const bytes = [];
+    for (const character of text) {
+        if (table.has(character)) {
+            bytes.push(table.get(character));
+        } else {
+            for (const code of `&#${character.codePointAt(0)};`) {
+                bytes.push(code.charCodeAt(0));
+            }
+        }
+    }
+    return Uint8Array.from(bytes);
+};
+
+export {
+    canEncode,
+    canonicalEncoding,
+    decodeBytes,
+    encodeText,
+    getContentCharset,
+    getDeclarationEncoding,
+    setContentCharset,
+    setDeclarationEncoding,
+    sniffEncoding
+};
@@ -0,0 +1,203 @@
+import { LEGACY_REFERENCES, NAMED_REFERENCES } from './entity-table.js';
+
+const REGEX = {
+    attributeSpecial: /[&"\u00A0]/g,
+    characterReference: /&(?:#[xX]([0-9a-fA-F]+);?|#([0-9]+);?|([a-zA-Z][a-zA-Z0-9]*)(;?))/g,
+    legacyTerminator: /[=a-zA-Z0-9]/,
+    textSpecial: /[&<>\u00A0]/g,
+    xmlAttributeSpecial: /[&<"]/g,
+    xmlCharacterReference: /&(?:#x([0-9a-fA-F]+);|#([0-9]+);|(amp|lt|gt|quot|apos);)/g,
+    xmlReference: /&(?:#x([0-9a-fA-F]+);|#([0-9]+);|([^\s&;<"']+);)?/g,
+    xmlTextSpecial: /[&<>]/g
+};
+
+const ESCAPES = {
+    '\u00A0': '&nbsp;',
+    '"': '&quot;',
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;'
+};
+
+/**
+ * Characters numeric references in the 0x80-0x9F range stand for: the windows-1252 characters
+ * documents meant when they wrote them, as the HTML spec requires.
+ */
+const C1_REPLACEMENTS = {
+    0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+    0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+    0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+    0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+/**
+ * The only named references XML defines.
+ */
+const XML_ENTITIES = {
+    amp: '&',
+    apos: "'",
+    gt: '>',
+    lt: '<',
+    quot: '"'
+};
+
+/**
+ * Length of the longest name recognized without a trailing ";".
+ */
+const LEGACY_MAX_LENGTH = Math.max(...LEGACY_REFERENCES.map((name) => { return name.length; }));
+
+const legacyReferences = new Set(LEGACY_REFERENCES);
+
+/**
+ * Converts the code point of a numeric character reference to a string, replacing code points
+ * that are not allowed the way the HTML spec does.
+ * @param {number} codePoint - The referenced code point
+ * @returns {string} The character
+ */
+const fromCodePoint = (codePoint) => {
+    if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+        return '\uFFFD';
+    }
+    return String.fromCodePoint(C1_REPLACEMENTS[codePoint] ?? codePoint);
+};
+
+/**
+ * Checks whether a code point is a character XML documents may contain.
+ * @param {number} codePoint - The code point
+ * @returns {boolean} True if it is allowed
+ */
+const isXmlCharacter = (codePoint) => {
+    return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+        (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+        (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+        (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+};
+
+/**
+ * Decodes the character references in HTML source text: named references such as `&amp;` and
+ * `&nbsp;` (the full table from the HTML spec) and numeric ones such as `&#39;` and `&#x27;`.
+ * Like a browser, it accepts the legacy names that may leave out the ";" (e.g. `&copy 2024`) and
+ * leaves anything else that is not a known reference as it is.
+ * @param {string} text - Source text of a text node or attribute value
+ * @param {boolean} [inAttribute=false] - Whether the text is an attribute value, where a legacy name
+ *        followed by "=" or a letter or digit is left alone (so `?a=1&copy=2` survives)
+ * @returns {string} The decoded text
+ */
+const decodeEntities = (text, inAttribute = false) => {
+    if (!text.includes('&')) {
+        return text;
+    }
+
+    return text.replace(REGEX.characterReference, (match, hex, decimal, name, semicolon, offset) => {
+        if (hex !== undefined || decimal !== undefined) {
+            const codePoint = hex !== undefined ? parseInt(hex, 16) : parseInt(decimal, 10);
+            return fromCodePoint(codePoint);
+        }
+
+        if (semicolon && Object.prototype.hasOwnProperty.call(NAMED_REFERENCES, name)) {
+            return NAMED_REFERENCES[name];
+        }
+
+        // Fall back to the longest legacy name the text starts with, e.g. "&notit;" is "¬it;"
+        for (let length = Math.min(name.length, LEGACY_MAX_LENGTH); length > 1; length--) {
+            const prefix = name.slice(0, length);
+            if (legacyReferences.has(prefix)) {
+                const next = text.charAt(offset + length + 1);
+                if (inAttribute && REGEX.legacyTerminator.test(next)) {
+                    return match;
+                }
+                return NAMED_REFERENCES[prefix] + match.slice(length + 1);
+            }
+        }
+
+        return match;
+    });
+};
+
+/**
+ * Decodes the character references in XML source text: the five entities XML predefines (`&amp;`,
+ * `&lt;`, `&gt;`, `&quot;` and `&apos;`) and numeric ones such as `&#39;` and `&#x27;`. Names from
+ * the HTML table such as `&nbsp;` mean nothing in XML and are left as they are.
+ * @param {string} text - Source text of a text node or attribute value
+ * @returns {string} The decoded text
+ */
+const decodeXmlEntities = (text) => {
+    if (!text.includes('&')) {
+        return text;
+    }
+
+    return text.replace(REGEX.xmlCharacterReference, (match, hex, decimal, name) => {
+        if (name !== undefined) {
+            return XML_ENTITIES[name];
+        }
+        const codePoint = hex !== undefined ? parseInt(hex, 16) : parseInt(decimal, 10);
+        return isXmlCharacter(codePoint) ? String.fromCodePoint(codePoint) : '\uFFFD';
+    });
+};
+
+/**
+ * Finds the first "&" in XML source text that does not start a well-formed reference: XML has no
+ * bare "&", no references without a ";" and no named references besides its five predefined ones
+ * and those the document's doctype declares.
+ * @param {string} text - Source text of a text node or attribute value
+ * @param {Set<string>} [declared=new Set()] - Names of the entities the doctype declares
+ * @returns {{code: string, message: string, offset: number, length: number}|null} The diagnostic
+ *          code and message for the reference, its offset and length in the text, or null if
+ *          every reference is well-formed
+ */
+const findXmlReferenceError = (text, declared = new Set()) => {
+    if (!text.includes('&')) {
+        return null;
+    }
+
+    for (const match of text.matchAll(REGEX.xmlReference)) {
+        const [reference, hex, decimal, name] = match;
+        const error = { length: reference.length, offset: match.index };
+
+        if (reference === '&') {
+            const message = 'A "&" that does not start a character reference must be written as "&amp;"';
+            return { ...error, code: 'unescaped-ampersand', message };
+        }
+        if (name !== undefined && !Object.prototype.hasOwnProperty.call(XML_ENTITIES, name) && !declared.has(name)) {
+            return { ...error, code: 'undefined-entity', message: `Entity "${reference}" is not defined in XML` };
+        }
+        if (name === undefined && !isXmlCharacter(hex !== undefined ? parseInt(hex, 16) : parseInt(decimal, 10))) {
+            const message = `Character reference "${reference}" is not a character XML allows`;
+            return { ...error, code: 'invalid-character-reference', message };
+        }
+    }
+    return null;
+};
+
+/**
+ * Escapes text for use as the content of an element: "&", "<", ">" and non-breaking spaces
+ * become character references.
+ * @param {string} text - Plain text
+ * @param {boolean} [xml=false] - Whether the text is XML, which has no `&nbsp;`, so non-breaking
+ *        spaces are left as they are
+ * @returns {string} HTML source for the text
+ */
+const escapeText = (text, xml = false) => {
+    return text.replace(xml ? REGEX.xmlTextSpecial : REGEX.textSpecial, (character) => { return ESCAPES[character]; });
+};
+
+/**
+ * Escapes text for use as a double-quoted attribute value: "&", '"' and non-breaking spaces
+ * become character references.
+ * @param {string} value - Plain attribute value
+ * @param {boolean} [xml=false] - Whether the value is XML, where "<" must be escaped as well and
+ *        non-breaking spaces are left as they are
+ * @returns {string} HTML source for the value
+ */
+const escapeAttribute = (value, xml = false) => {
+    const special = xml ? REGEX.xmlAttributeSpecial : REGEX.attributeSpecial;
+    return value.replace(special, (character) => { return ESCAPES[character]; });
+};
+
+export {
+    decodeEntities,
+    decodeXmlEntities,
+    escapeAttribute,
+    escapeText,
+    findXmlReferenceError
+};
@@ -0,0 +1,68 @@
+/**
+ * Thrown when markup is malformed and the parser is not allowed to recover from it, as in XML mode.
+ * Carries the same `code` and `position` a diagnostic for the problem would have.
+ */
+class ParseError extends Error {
+
+    /**
+     * @type {string} Diagnostic code of the problem, e.g. 'unmatched-closing-tag'
+     */
+    code = '';
+
+    /**
+     * @type {import('./source-locator.js').SourcePosition|null} Where the problem is in the input
+     */
+    position = null;
+
+    /**
+     * Creates a new ParseError instance.
+     * @param {string} message - Description of the problem
+     * @param {string} code - Diagnostic code of the problem
+     * @param {import('./source-locator.js').SourcePosition|null} [position=null] - Where the
+     *        problem is; its line and column are added to the message
+     */
+    constructor(message, code, position = null) {
+        const location = position ? ` (line ${position.start.line}, column ${position.start.column})` : '';
+        super(`${message}${location}`);
+        this.name = 'ParseError';
+        this.code = code;
+        this.position = position;
+    }
+
+}
+
+/**
+ * Thrown when input exceeds one of the parser's `limits`, e.g. nesting deeper than `maxDepth`.
+ * Parsing is aborted, whether or not the parser is otherwise allowed to recover.
+ */
+class ParseLimitError extends ParseError {
+
+    /**
+     * @type {string} Name of the limit that was exceeded, e.g. 'maxDepth'
+     */
+    limit = '';
+
+    /**
+     * @type {number} Value the limit is set to
+     */
+    max = 0;
+
+    /**
+     * Creates a new ParseLimitError instance.
+     * @param {string} message - Description of what exceeded the limit
+     * @param {string} limit - Name of the limit
+     * @param {number} max - Value the limit is set to
+     * @param {import('./source-locator.js').SourcePosition|null} [position=null] - Where the limit
+     *        was exceeded; null when the input as a whole is too long
+     */
+    constructor(message, limit, max, position = null) {
+        super(message, 'limit-exceeded', position);
+        this.name = 'ParseLimitError';
+        this.limit = limit;
+        this.max = max;
+    }
+
+}
+
+export { ParseError, ParseLimitError };
+export default ParseError;
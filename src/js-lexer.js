@@ -0,0 +1,395 @@
+/* eslint-disable no-continue */
+const REGEX = {
+    lineTerminator: /[\n\r\u2028\u2029]/,
+    lineTerminators: /[\n\r\u2028\u2029]/g,
+    whitespace: /\s/,
+    wordCharacter: /[\w$\\#\u0080-\uFFFF]/
+};
+
+/**
+ * Opening and closing delimiters of each kind of JS comment, keyed by commentType:
+ * - 'js-single-line': `// ...` up to the end of the line
+ * - 'js-multi-line': `/* ... *\/`
+ * - 'js-hashbang': `#! ...` on the first line of the script
+ * - 'js-html-open': `<!-- ...` up to the end of the line, which browsers read as a comment
+ * - 'js-html-close': `--> ...` at the start of a line, up to its end
+ */
+const JS_COMMENT_DELIMITERS = {
+    'js-hashbang': ['#!', ''],
+    'js-html-close': ['-->', ''],
+    'js-html-open': ['<!--', ''],
+    'js-multi-line': ['/*', '*/'],
+    'js-single-line': ['//', '']
+};
+
+/**
+ * Keywords after which a "/" starts a regular expression instead of being a division.
+ */
+const REGEX_KEYWORDS = [
+    'await', 'case', 'delete', 'do', 'else', 'extends', 'in', 'instanceof', 'new', 'of', 'return', 'throw', 'typeof',
+    'void', 'yield'
+];
+
+/**
+ * Keywords whose parenthesized condition is followed by a statement, where a "/" after the ")"
+ * starts a regular expression, as in `if (ok) /x/.test(s)`.
+ */
+const CONDITION_KEYWORDS = ['for', 'if', 'while', 'with'];
+
+/**
+ * @typedef {Object} JsComment
+ * @property {string} type - commentType of the comment, a key of JS_COMMENT_DELIMITERS
+ * @property {number} start - Offset of the comment's opening delimiter
+ * @property {number} end - Offset just past the comment; the line terminator ending a single-line
+ *           comment is not part of it
+ * @property {string} content - Text between the comment's delimiters
+ */
+
+/**
+ * Finds the comments in JavaScript source, the way a JS engine reads it: "//" and "/*" inside
+ * strings, template literals (including code nested in `${}`) and regular expression literals are
+ * not comments. Whether a "/" starts a regular expression is decided from the token before it, as
+ * the JS grammar does. Only comments are reported; the rest of the source is skipped over.
+ */
+class JsLexer {
+
+    /**
+     * @type {string[]} Open braces, innermost last: 'template' for a `${` in a template literal,
+     * 'brace' for any other "{"
+     */
+    #braces = [];
+
+    /**
+     * @type {JsComment[]} Comments found so far
+     */
+    #comments = [];
+
+    /**
+     * @type {boolean} Whether nothing but whitespace and comments precede the current offset on
+     * its line, where "-->" starts a comment
+     */
+    #lineStart = true;
+
+    /**
+     * @type {boolean[]} Open parentheses, innermost last: whether each holds the condition of an
+     * if, for, while or with statement
+     */
+    #parens = [];
+
+    /**
+     * @type {number} Current offset in the source
+     */
+    #pos = 0;
+
+    /**
+     * @type {string} The previous token, if it was a keyword or identifier; '' otherwise
+     */
+    #previousWord = '';
+
+    /**
+     * @type {boolean} Whether the previous token was a "." (or "?."), making a word a property name
+     */
+    #propertyName = false;
+
+    /**
+     * @type {boolean} Whether a "/" at the current offset starts a regular expression
+     */
+    #regexAllowed = true;
+
+    /**
+     * @type {string} The source being read
+     */
+    #source = '';
+
+    /**
+     * Finds every comment in a script. A multi-line comment the script ends inside of is not
+     * reported, so the source is kept as written.
+     * @param {string} source - JavaScript source, e.g. the content of a script element
+     * @returns {JsComment[]} The comments, in source order
+     */
+    findComments(source) {
+        this.#braces = [];
+        this.#comments = [];
+        this.#lineStart = true;
+        this.#parens = [];
+        this.#pos = 0;
+        this.#previousWord = '';
+        this.#propertyName = false;
+        this.#regexAllowed = true;
+        this.#source = source;
+
+        if (source.startsWith('#!')) {
+            this.#readLineComment('js-hashbang');
+        }
+        while (this.#pos < source.length) {
+            this.#readToken();
+        }
+
+        return this.#comments;
+    }
+
+    /**
+     * Reads a multi-line comment starting at the current offset.
+     * @private
+     */
+    #readMultiLineComment() {
+        const source = this.#source;
+        const start = this.#pos;
+        const close = source.indexOf('*/', start + 2);
+        if (close === -1) {
+            this.#pos = source.length;
+            return;
+        }
+
+        const content = source.substring(start + 2, close);
+        this.#comments.push({
+            type: 'js-multi-line', start, end: close + 2, content
+        });
+        this.#pos = close + 2;
+
+        // A comment spanning lines ends the line it started on
+        if (REGEX.lineTerminator.test(content)) {
+            this.#lineStart = true;
+        }
+    }
+
+    /**
+     * Reads a comment that runs to the end of the line, starting at the current offset.
+     * @param {string} type - The comment's commentType
+     * @private
+     */
+    #readLineComment(type) {
+        const source = this.#source;
+        const start = this.#pos;
+        const contentStart = start + JS_COMMENT_DELIMITERS[type][0].length;
+
+        REGEX.lineTerminators.lastIndex = contentStart;
+        const terminator = REGEX.lineTerminators.exec(source);
+        const end = terminator ? terminator.index : source.length;
+
+        this.#comments.push({
+            type, start, end, content: source.substring(contentStart, end)
+        });
+        this.#pos = end;
+    }
+
+    /**
+     * Tries to read a regular expression literal starting at the "/" at the current offset.
+     * @returns {boolean} False if the line ends before the literal does, so it is not one
+     * @private
+     */
+    #readRegex() {
+        const source = this.#source;
+        let pos = this.#pos + 1;
+        let inClass = false;
+
+        while (pos < source.length && !REGEX.lineTerminator.test(source[pos])) {
+            const char = source[pos];
+            if (char === '\\') {
+                pos += 2;
+                continue;
+            }
+            if (char === '/' && !inClass) {
+                pos += 1;
+                // Flags
+                while (pos < source.length && REGEX.wordCharacter.test(source[pos])) {
+                    pos += 1;
+                }
+                this.#pos = pos;
+                return true;
+            }
+            if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            }
+            pos += 1;
+        }
+
+        return false;
+    }
+
+    /**
+     * Reads a string literal starting at the quote at the current offset. A string the line ends
+     * inside of is malformed, and ends there.
+     * @private
+     */
+    #readString() {
+        const source = this.#source;
+        const quote = source[this.#pos];
+        let pos = this.#pos + 1;
+
+        while (pos < source.length) {
+            const char = source[pos];
+            if (char === '\\') {
+                // Skips the escaped character, including an escaped line break
+                pos += source.startsWith('\r\n', pos + 1) ? 3 : 2;
+                continue;
+            }
+            if (char === quote) {
+                pos += 1;
+                break;
+            }
+            if (char === '\n' || char === '\r') {
+                break;
+            }
+            pos += 1;
+        }
+
+        this.#pos = pos;
+    }
+
+    /**
+     * Reads template literal text from the current offset, up to the closing backtick or the next
+     * `${`, whose code is then read as tokens until its closing "}".
+     * @private
+     */
+    #readTemplate() {
+        const source = this.#source;
+        let pos = this.#pos;
+
+        while (pos < source.length) {
+            const char = source[pos];
+            if (char === '\\') {
+                pos += 2;
+                continue;
+            }
+            if (char === '`') {
+                this.#pos = pos + 1;
+                this.#regexAllowed = false;
+                return;
+            }
+            if (char === '$' && source[pos + 1] === '{') {
+                this.#braces.push('template');
+                this.#pos = pos + 2;
+                this.#regexAllowed = true;
+                return;
+            }
+            pos += 1;
+        }
+
+        this.#pos = source.length;
+    }
+
+    /**
+     * Reads the token, whitespace or comment at the current offset.
+     * @private
+     */
+    #readToken() {
+        const source = this.#source;
+        const pos = this.#pos;
+        const char = source[pos];
+        const next = source[pos + 1];
+
+        if (REGEX.lineTerminator.test(char)) {
+            this.#lineStart = true;
+            this.#pos += 1;
+            return;
+        }
+        if (REGEX.whitespace.test(char)) {
+            this.#pos += 1;
+            return;
+        }
+
+        // Comments leave the previous token, and with it the meaning of a "/", unchanged
+        if (char === '/' && next === '/') {
+            this.#readLineComment('js-single-line');
+            return;
+        }
+        if (char === '/' && next === '*') {
+            this.#readMultiLineComment();
+            return;
+        }
+        if (source.startsWith('<!--', pos)) {
+            this.#readLineComment('js-html-open');
+            return;
+        }
+        if (this.#lineStart && source.startsWith('-->', pos)) {
+            this.#readLineComment('js-html-close');
+            return;
+        }
+        this.#lineStart = false;
+
+        const previousWord = this.#previousWord;
+        const propertyName = this.#propertyName;
+        this.#previousWord = '';
+        this.#propertyName = false;
+
+        if (char === '"' || char === "'") {
+            this.#readString();
+            this.#regexAllowed = false;
+            return;
+        }
+        if (char === '`') {
+            this.#pos += 1;
+            this.#readTemplate();
+            return;
+        }
+        if (char === '/' && this.#regexAllowed && this.#readRegex()) {
+            this.#regexAllowed = false;
+            return;
+        }
+
+        if (REGEX.wordCharacter.test(char)) {
+            let end = pos + 1;
+            while (end < source.length && REGEX.wordCharacter.test(source[end])) {
+                end += 1;
+            }
+            const word = source.substring(pos, end);
+            this.#previousWord = propertyName ? '' : word;
+            this.#regexAllowed = !propertyName && REGEX_KEYWORDS.includes(word);
+            this.#pos = end;
+            return;
+        }
+
+        // Punctuators; only the ones that end an operand make a following "/" a division
+        this.#pos += 1;
+        switch (char) {
+            case '{':
+                this.#braces.push('brace');
+                this.#regexAllowed = true;
+                break;
+            case '}':
+                if (this.#braces.pop() === 'template') {
+                    this.#readTemplate();
+                } else {
+                    this.#regexAllowed = true;
+                }
+                break;
+            case '(':
+                this.#parens.push(CONDITION_KEYWORDS.includes(previousWord));
+                this.#regexAllowed = true;
+                break;
+            case ')':
+                this.#regexAllowed = this.#parens.pop() === true;
+                break;
+            case ']':
+                this.#regexAllowed = false;
+                break;
+            case '+':
+            case '-':
+                // Postfix increment and decrement end an operand
+                if (next === char) {
+                    this.#pos += 1;
+                    this.#regexAllowed = false;
+                } else {
+                    this.#regexAllowed = true;
+                }
+                break;
+            case '.':
+                if (source.startsWith('...', pos)) {
+                    this.#pos += 2;
+                } else {
+                    this.#propertyName = true;
+                }
+                this.#regexAllowed = true;
+                break;
+            default:
+                this.#regexAllowed = true;
+        }
+    }
+
+}
+
+export { JS_COMMENT_DELIMITERS, JsLexer };
+export default JsLexer;
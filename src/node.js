@@ -1,5 +1,14 @@
 /* eslint-disable max-len */
+import {
+    canEncode, canonicalEncoding, encodeText, getContentCharset, getDeclarationEncoding, setContentCharset, setDeclarationEncoding
+} from './encoding.js';
+import { decodeEntities, decodeXmlEntities, escapeAttribute, escapeText } from './entities.js';
+import { JS_COMMENT_DELIMITERS } from './js-lexer.js';
+
 const REGEX = {
+    attributeSelector: /^([^~^$*|=]+)([~^$*|]?=)(.*)$/,
+    childCombinator: /\s*>\s*/g,
+    leadingSpace: /^ /,
     notSelector: /:not\(([^)]+)\)/g,
     queryAttributeMatches: /\[([^\]]+)\]/g,
     queryClassMatches: /\.([a-zA-Z0-9\-_]+)/g,
@@ -7,11 +16,36 @@ const REGEX = {
     querySelectorParts: /([a-zA-Z0-9\-_]+)?(\#[a-zA-Z0-9\-_]+)?(\.[a-zA-Z0-9\-_]+)*(\[[^\]]+\])*/g,
     queryTagMatch: /^[a-zA-Z0-9\-_]+/,
     rawValue: /^["'](.*)["']$/,
-    whitespace: /\s+/
+    whitespace: /\s+/,
+    whitespaceRuns: /\s+/g
 };
 
 const VOID_ELEMS = ['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'param', 'source', 'track', 'wbr'];
 
+// Elements whose text is taken literally (RAWTEXT in the HTML spec): character references in it are not decoded
+const RAW_TEXT_ELEMS = ['iframe', 'noembed', 'noframes', 'script', 'style', 'xmp'];
+
+// Elements rendered as blocks, which innerText puts on lines of their own; a <p> is also set off by a blank line
+const BLOCK_ELEMS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center', 'dd', 'details', 'dialog', 'dir', 'div', 'dl',
+    'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+    'html', 'legend', 'li', 'listing', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section', 'summary', 'table',
+    'tr', 'ul', 'xmp'
+];
+
+// Elements whose whitespace is rendered as written
+const PREFORMATTED_ELEMS = ['listing', 'pre', 'textarea', 'xmp'];
+
+// Elements whose content is not rendered, which innerText leaves out
+const UNRENDERED_ELEMS = ['head', 'iframe', 'noembed', 'noframes', 'noscript', 'script', 'style', 'template', 'title'];
+
+// Namespace URIs of the namespaces HTML elements are in, declared when an HTML document is written as XML
+const NAMESPACE_URIS = {
+    html: 'http://www.w3.org/1999/xhtml',
+    mathml: 'http://www.w3.org/1998/Math/MathML',
+    svg: 'http://www.w3.org/2000/svg'
+};
+
 /**
  * Represents a DOM node in the parsed HTML tree.
  */
@@ -28,27 +62,126 @@ class Node {
     children = [];
 
     /**
-     * @type {string} Text content for text nodes
+     * @type {string|Node} Text content for text, comment and cdata nodes, the data of a processing
+     * instruction, the code between the delimiters of a 'template' node, or the 'fragment' node
+     * holding the contents of a template element. The content
+     * of text nodes is HTML source, with character references such as `&amp;` as written; use
+     * `textContent` to read or write it as plain text
      */
     content = '';
 
+    /**
+     * @type {string[]|null} Opening and closing delimiter of a 'template' node, e.g. `['{{', '}}']`;
+     * the closing one is '' when the region was not closed
+     */
+    delimiters = null;
+
+    /**
+     * @type {string|null} Character encoding a root node's document was decoded from, when it was
+     * parsed from bytes (e.g. 'utf-8', 'windows-1252')
+     */
+    encoding = null;
+
+    /**
+     * @type {Node|null} Template element that owns this node, for 'fragment' nodes
+     */
+    host = null;
+
     /**
      * @type {string} Tag name or type identifier
      */
     name = '';
 
+    /**
+     * @type {string|null} Namespace of an element: 'html', or 'svg' / 'mathml' for foreign content.
+     * In an XML document it is the namespace URI the element's prefix (or the default namespace) is
+     * bound to, or null for none
+     */
+    namespace = 'html';
+
     /**
      * @type {Node|null} Parent node reference
      */
     parent = null;
 
+    /**
+     * @type {Object|null} Options a root node's document was parsed with, merged over the parser's
+     * own; markup inserted later is parsed with the same options
+     */
+    parseOptions = null;
+
+    /**
+     * @type {import('./source-locator.js').SourcePosition|null} Where this node came from in the
+     * parsed source (start/end offset, line and column); null for nodes created programmatically
+     */
+    position = null;
+
+    /**
+     * @type {string|null} Public identifier of a doctype node
+     */
+    publicId = null;
+
+    /**
+     * @type {boolean} Whether this element was written (and is serialized) in self-closing form,
+     * e.g. `<path d="..."/>`; such elements have no children and no closing tag
+     */
+    selfClosing = false;
+
+    /**
+     * @type {string|null} System identifier of a doctype node
+     */
+    systemId = null;
+
+    /**
+     * @type {string} Target of a processing-instruction node (e.g. `xml` for `<?xml ...?>`)
+     */
+    target = '';
+
+    /**
+     * @type {Array<string[]>} Template-language delimiters a root node's document was parsed with;
+     * regions between them in attribute values are left as written by getAttribute() and
+     * setAttribute()
+     */
+    templateDelimiters = [];
+
+    /**
+     * @type {boolean} Whether a root node's document was parsed as XML; names are then compared
+     * case-sensitively, no element is void, and text and attributes are escaped for XML
+     */
+    xml = false;
+
     /**
      * @type {string} Node type or CSS Node type:
      * - 'comment', 'text', 'root', 'tag-close', 'tag-open'
+     * - 'doctype' (with `name`, `publicId` and `systemId`), 'cdata' (with `content`),
+     *   'processing-instruction' (with `target` and `content`)
+     * - 'fragment' (the contents of a template element, see `content`, or the result of
+     *   SimpleHtmlParser#parseFragment())
+     * - 'template' (an opaque template-language region, with `content` and `delimiters`)
      * - 'css-rule', 'css-at-rule', 'css-root'
      */
     type = '';
 
+    /**
+     * @type {string|null} Original source text of this tag, recorded in lossless mode
+     */
+    #raw = null;
+
+    /**
+     * @type {string|null} Original source text of a style block's CSS, recorded in lossless mode
+     */
+    #rawContent = null;
+
+    /**
+     * @type {string|null} Regenerated CSS of a style block at the time rawContent was recorded
+     */
+    #rawContentSignature = null;
+
+    /**
+     * @type {string|null} Fields of this tag (or declaration) at the time raw was recorded
+     */
+    #rawSignature = null;
+
     /**
      * Creates a new Node instance.
      * @param {string} type - The type of node ('comment', 'text', 'root', 'tag-close', 'tag-open')
@@ -63,6 +196,216 @@ class Node {
         this.parent = parent;
     }
 
+    /**
+     * Gets the number of child elements of this node.
+     * @returns {number} Number of 'tag-open' children
+     */
+    get childElementCount() {
+        return this.childElements.length;
+    }
+
+    /**
+     * Gets the child elements of this node: its 'tag-open' children, without the text, comments
+     * and closing tags between them.
+     * @returns {Node[]} The child elements, in document order
+     */
+    get childElements() {
+        return this.children.filter((child) => { return child.type === 'tag-open'; });
+    }
+
+    /**
+     * Gets the first child element of this node.
+     * @returns {Node|null} The first 'tag-open' child, or null if there is none
+     */
+    get firstElementChild() {
+        return this.children.find((child) => { return child.type === 'tag-open'; }) ?? null;
+    }
+
+    /**
+     * Gets the text of an element as a browser renders it, like the DOM's `innerText`: block
+     * elements and `<br>` start new lines, a paragraph is set off by a blank line, table cells
+     * are separated by tabs, and whitespace is collapsed except inside `<pre>` and `<textarea>`.
+     * The content of elements that are not rendered (script, style, template, head, etc.) is left
+     * out; for such an element itself, its textContent is returned.
+     * @returns {string|null} The rendered text, or null for nodes other than elements, root and
+     *          fragment nodes
+     */
+    get innerText() {
+        if (!this.#holdsContent()) {
+            return null;
+        }
+        if (this.type === 'tag-open' && this.#isUnrendered()) {
+            return this.textContent;
+        }
+
+        const items = [];
+        this.#collectInnerText(items, false);
+        return this.#joinInnerText(items);
+    }
+
+    /**
+     * Replaces all children of an element with a single text node holding the text, exactly as
+     * the textContent setter does; line breaks are kept as they are rather than becoming `<br>`s.
+     * @param {string} value - The new text
+     * @throws {Error} For void and self-closing elements, and nodes other than elements, root and
+     *         fragment nodes
+     */
+    set innerText(value) {
+        if (!this.#holdsContent()) {
+            throw new Error('innerText can only be set on elements');
+        }
+        this.#replaceChildrenWithText(String(value), 'innerText');
+    }
+
+    /**
+     * Gets the last child element of this node.
+     * @returns {Node|null} The last 'tag-open' child, or null if there is none
+     */
+    get lastElementChild() {
+        return this.children.findLast((child) => { return child.type === 'tag-open'; }) ?? null;
+    }
+
+    /**
+     * Gets the next element after this node among its siblings. The next element after an
+     * element's closing tag is the element's next element.
+     * @returns {Node|null} The next 'tag-open' sibling, or null if there is none
+     */
+    get nextElementSibling() {
+        return this.#findSibling(1, true);
+    }
+
+    /**
+     * Gets the node that follows this node among its siblings. The closing tag of an element is
+     * part of the element, not a sibling: the next sibling of an element is the node after its
+     * closing tag, and that of a closing tag is its element's next sibling.
+     * @returns {Node|null} The next sibling, or null if this is the last one
+     */
+    get nextSibling() {
+        return this.#findSibling(1, false);
+    }
+
+    /**
+     * Gets the element this node is a child of.
+     * @returns {Node|null} The parent, or null if the parent is not an element (a root or fragment
+     *          node) or there is none
+     */
+    get parentElement() {
+        return this.parent?.type === 'tag-open' ? this.parent : null;
+    }
+
+    /**
+     * Gets the element before this node among its siblings. The element before an element's
+     * closing tag is the element's previous element.
+     * @returns {Node|null} The previous 'tag-open' sibling, or null if there is none
+     */
+    get previousElementSibling() {
+        return this.#findSibling(-1, true);
+    }
+
+    /**
+     * Gets the node that precedes this node among its siblings. Closing tags are skipped, as for
+     * nextSibling: when the node before this one is an element's closing tag, it is the element.
+     * @returns {Node|null} The previous sibling, or null if this is the first one
+     */
+    get previousSibling() {
+        return this.#findSibling(-1, false);
+    }
+
+    /**
+     * Gets the original source text of this tag (e.g. `<DIV  class='a'>` or `<br/>`), recorded when
+     * the parser runs in lossless mode; null otherwise. Doctypes always record it.
+     * @returns {string|null} The raw tag text
+     */
+    get raw() {
+        return this.#raw;
+    }
+
+    /**
+     * Sets the original source text of this tag. toHtml() emits it verbatim for as long as the
+     * tag's name and attributes (or a declaration's fields) are unchanged, and regenerates the tag
+     * once they are modified.
+     * @param {string|null} value - The raw tag text, or null to always regenerate the tag
+     */
+    set raw(value) {
+        this.#raw = value;
+        this.#rawSignature = value === null ? null : this.#getRawSignature();
+    }
+
+    /**
+     * Gets the original CSS source of a style block, recorded when the parser runs in lossless
+     * mode; null otherwise.
+     * @returns {string|null} The raw CSS text
+     */
+    get rawContent() {
+        return this.#rawContent;
+    }
+
+    /**
+     * Sets the original CSS source of a style block. toHtml() emits it verbatim for as long as the
+     * parsed CSS tree is unchanged, and regenerates the CSS once it is modified.
+     * @param {string|null} value - The raw CSS text, or null to always regenerate the CSS
+     */
+    set rawContent(value) {
+        this.#rawContent = value;
+        this.#rawContentSignature = value === null ? null : this.#cssTreeToString(this.children, 0);
+    }
+
+    /**
+     * Gets the plain text of a text, comment or cdata node. Character references in text are
+     * decoded, except inside elements whose content is taken literally (script, style, special
+     * tags, etc.).
+     *
+     * For an element (or a root or fragment node) it is the text of all its descendants, like the
+     * DOM's `textContent`: comments and closing tags are left out, a style block gives its CSS
+     * and a script block its whole code, JS comments included. Template-language regions are kept
+     * as written. The contents of a <template> are not part of it.
+     * @returns {string|null} The text, or null for other node types
+     */
+    get textContent() {
+        if (this.type === 'text') {
+            if (this.#isLiteralText()) {
+                return this.content;
+            }
+            return this.#isXml() ? decodeXmlEntities(this.content) : decodeEntities(this.content);
+        }
+        if (this.type === 'comment' || this.type === 'cdata') {
+            return this.content;
+        }
+        if (this.#holdsContent()) {
+            return this.#getDescendantText();
+        }
+        return null;
+    }
+
+    /**
+     * Sets the plain text of a text, comment or cdata node. Text is escaped so that characters such
+     * as "<" and "&" cannot change the markup around it.
+     *
+     * For an element (or a root or fragment node), all children are replaced with a single text
+     * node holding the text; the element's closing tag, a sibling, stays where it is. Style and
+     * script blocks parse the text as CSS or as script code instead.
+     * @param {string} value - The new text
+     * @throws {Error} For void and self-closing elements, and node types that hold no text
+     */
+    set textContent(value) {
+        if (this.#holdsContent()) {
+            this.#replaceChildrenWithText(String(value), 'textContent');
+            return;
+        }
+        if (this.type === 'text') {
+            const text = String(value);
+            // Keep the original spelling of character references when the text is unchanged
+            if (text !== this.textContent) {
+                this.content = this.#isLiteralText() ? text : escapeText(text, this.#isXml());
+            }
+            return;
+        }
+        if (this.type !== 'comment' && this.type !== 'cdata') {
+            throw new Error('textContent can only be set on elements and text, comment and cdata nodes');
+        }
+        this.content = String(value);
+    }
+
     /**
      * Makes Node objects directly iterable with for...of loops. Provides a robust
      * depth-first traversal that correctly handles:
@@ -76,8 +419,8 @@ class Node {
      * @returns {Iterator} A DOM traversal iterator
      */
     [Symbol.iterator]() {
-        // Start with this node (or for root nodes, start with first child)
-        let currentNode = this.type === 'root' && this.children.length > 0 ?
+        // Start with this node (or for root and fragment nodes, start with first child)
+        let currentNode = (this.type === 'root' || this.type === 'fragment') && this.children.length > 0 ?
             this.children[0] :
             this;
 
@@ -301,6 +644,22 @@ class Node {
         return `${spaces}@${name}${params ? ` ${params}` : ''} {${newline}${body}${newline}${spaces}}`;
     }
 
+    /**
+     * Checks that an element can have content inserted into it.
+     * @param {Node} node - The element
+     * @param {string} action - What was asked for, for errors (e.g. 'afterbegin')
+     * @throws {Error} If the element is written in self-closing form or is a void element
+     * @private
+     */
+    #assertHoldsContent(node, action) {
+        if (node.selfClosing) {
+            throw new Error(`${action} cannot be used on self-closing elements`);
+        }
+        if (this.#isVoidElement(node)) {
+            throw new Error(`${action} cannot be used on void elements`);
+        }
+    }
+
     /**
      * Helper method to build a single CSS rule string.
      * @private
@@ -397,14 +756,152 @@ class Node {
         return result;
     }
 
+    /**
+     * Copies this node, returned the way createNode() returns new elements: an element comes with
+     * a copy of its closing tag, which the copy needs when it is inserted elsewhere, or with a new
+     * one if it has none (e.g. an element made with createNode() that was never inserted). Attributes,
+     * CSS declarations, source positions and the like are copied, not shared, so the copy can be
+     * changed and inserted independently of the original. A deep copy includes all descendants,
+     * and for a `<template>`, the nodes of its contents.
+     * @param {boolean} [deep=false] - Whether to copy the node's descendants too
+     * @returns {Node[]} Array of nodes [copy, closing?]: the closing tag is included for elements
+     *          that are neither void nor self-closing
+     *
+     * @example
+     * // Stamp out copies of a card component
+     * const card = dom.querySelector('.card');
+     * for (let i = 0; i < 3; i++) {
+     *     list.appendChild(...card.cloneNode(true));
+     * }
+     */
+    cloneNode(deep = false) {
+        const clone = this.#copy(deep);
+        const closing = this.#findClosingTag(this);
+        if (closing) {
+            return [clone, closing.#copy(false)];
+        }
+        if (this.type === 'tag-open' && !this.#isVoidElement(this)) {
+            return [clone, new Node('tag-close', this.name)];
+        }
+        return [clone];
+    }
+
+    /**
+     * Finds the nearest element matched by a CSS selector, starting with this node itself and going
+     * up through its ancestors.
+     * @param {string} selector - CSS selector, as for querySelectorAll()
+     * @returns {Node|null} This node or the closest ancestor that matches, or null if none does
+     *
+     * @example
+     * // Find the form a clicked button belongs to
+     * const form = button.closest('form');
+     */
+    closest(selector) {
+        for (let node = this; node; node = node.parent) {
+            if (node.matches(selector)) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Collects the rendered text of this node's children for innerText: strings of text, and the
+     * line breaks blocks require around them.
+     * @param {Array<{text: string, preserve: boolean}|{breaks: number}>} items - Collected so far
+     * @param {boolean} preserve - Whether whitespace is kept as written, as inside <pre>
+     * @private
+     */
+    #collectInnerText(items, preserve) {
+        let cellSeen = false;
+
+        for (const child of this.children) {
+            const name = child.type === 'tag-open' ? child.name.toLowerCase() : '';
+
+            if (child.type === 'text' || child.type === 'cdata' || child.type === 'template') {
+                const text = child.type === 'template' ? child.getTag() : child.textContent;
+                items.push({ text: preserve ? text : text.replace(REGEX.whitespaceRuns, ' '), preserve });
+            } else if (name === 'br') {
+                items.push({ text: '\n', preserve: true });
+            } else if (name !== '' && !child.#isUnrendered()) {
+                // Cells of a row are separated by tabs
+                if (name === 'td' || name === 'th') {
+                    if (cellSeen) {
+                        items.push({ text: '\t', preserve: true });
+                    }
+                    cellSeen = true;
+                }
+
+                const breaks = name === 'p' ? 2 : Number(BLOCK_ELEMS.includes(name));
+                items.push({ breaks });
+                child.#collectInnerText(items, preserve || PREFORMATTED_ELEMS.includes(name));
+                items.push({ breaks });
+            }
+        }
+    }
+
+    /**
+     * Copies this node on its own, without a parent. Nodes it refers to, such as a template's
+     * contents, are copied as well; other objects it refers to, such as the parser, are shared.
+     * @param {boolean} deep - Whether to copy the node's children too
+     * @returns {Node} The copy
+     * @private
+     */
+    #copy(deep) {
+        const clone = new Node(this.type, this.name);
+        for (const [key, value] of Object.entries(this)) {
+            if (key !== 'children' && !(value instanceof Node)) {
+                clone[key] = this.#copyData(value);
+            }
+        }
+        clone.#raw = this.#raw;
+        clone.#rawSignature = this.#rawSignature;
+        clone.#rawContent = this.#rawContent;
+        clone.#rawContentSignature = this.#rawContentSignature;
+
+        if (this.content instanceof Node) {
+            clone.content = this.content.#copy(deep);
+            clone.content.host = clone;
+        }
+        if (deep) {
+            for (const child of this.children) {
+                const childClone = child.#copy(true);
+                childClone.parent = clone;
+                clone.children.push(childClone);
+            }
+        }
+        return clone;
+    }
+
+    /**
+     * Copies the data held in a field: arrays and plain objects are copied all the way down, while
+     * anything else is a value or an object that is shared.
+     * @param {*} value - Value of the field
+     * @returns {*} The copy
+     * @private
+     */
+    #copyData(value) {
+        if (Array.isArray(value)) {
+            return value.map((item) => { return this.#copyData(item); });
+        }
+        if (value !== null && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => { return [key, this.#copyData(item)]; }));
+        }
+        return value;
+    }
+
     /**
      * Creates a new element node with optional attributes and content.
      * Returns an array containing [openingTag, closingTag] for non-void elements,
-     * or [openingTag] for void elements.
+     * or [openingTag] for void and self-closing elements.
      *
      * @param {string} tagName - The HTML tag name (e.g., 'div', 'p', 'span')
-     * @param {Object} [attributes={}] - Element attributes as key-value pairs
-     * @param {string|Node|Node[]} [content=null] - Text content, single node, or array of nodes
+     * @param {Object} [attributes={}] - Element attributes as key-value pairs of plain text values
+     * @param {string|Node|Node[]} [content=null] - Text content (plain text, escaped as needed),
+     *                                              single node, or array of nodes
+     * @param {Object} [options={}] - Creation options
+     * @param {boolean} [options.selfClosing=false] - Create the element in self-closing form
+     *                                                (e.g. `<circle r="4"/>`); content is ignored
      * @returns {Node[]} Array of nodes [opening, closing?]
      *
      * @example
@@ -416,17 +913,32 @@ class Node {
      * // Void element - returns [opening]
      * const nodes = container.createNode('img', { src: 'photo.jpg' });
      * container.appendChild(...nodes);
+     *
+     * @example
+     * // Self-closing element - returns [opening]
+     * const nodes = svg.createNode('circle', { r: '4' }, null, { selfClosing: true });
+     * svg.appendChild(...nodes);
      */
-    createNode(tagName, attributes = {}, content = null) {
-        const openTag = new Node('tag-open', tagName, attributes);
+    createNode(tagName, attributes = {}, content = null, options = {}) {
+        // The new element is not in this node's document yet, so it is escaped by that document's rules
+        const xml = this.#isXml();
+        const openTag = new Node('tag-open', tagName);
+        for (const [name, value] of Object.entries(attributes)) {
+            const text = String(value);
+            openTag.attributes[openTag.#findAttributeName(name)] = text === '__EMPVAL__' ? text : this.#escapeAttributeValue(text);
+        }
+        if (options.selfClosing) {
+            openTag.selfClosing = true;
+            return [openTag];
+        }
 
         // Add content if provided
         if (content !== null) {
             if (typeof content === 'string') {
                 const textNode = new Node('text');
-                textNode.content = content;
                 openTag.children.push(textNode);
                 textNode.parent = openTag;
+                textNode.content = !xml && textNode.#isLiteralText() ? content : escapeText(content, xml);
             } else if (Array.isArray(content)) {
             // Flatten in case content contains arrays (from createNode)
                 const flatContent = content.flat();
@@ -440,8 +952,8 @@ class Node {
             }
         }
 
-        // Return array with closing tag for non-void elements
-        if (!VOID_ELEMS.includes(tagName.toLowerCase())) {
+        // Return array with closing tag for non-void elements; XML has no void elements
+        if (this.#isXml() || !VOID_ELEMS.includes(tagName.toLowerCase())) {
             const closeTag = new Node('tag-close', tagName);
             return [openTag, closeTag];
         }
@@ -538,10 +1050,12 @@ class Node {
 
                 if (matches) {
                     if (shallow) {
-                        const clonedNode = Object.create(Object.getPrototypeOf(node));
-                        Object.assign(clonedNode, node);
-                        clonedNode.children = node.children.filter((child) => { return child.type !== 'css-rule' && child.type !== 'css-at-rule'; }
-                        );
+                        const [clonedNode] = node.cloneNode();
+                        for (const child of node.children) {
+                            if (child.type !== 'css-rule' && child.type !== 'css-at-rule') {
+                                clonedNode.appendChild(...child.cloneNode(true));
+                            }
+                        }
                         results.push(clonedNode);
                     } else {
                         results.push(node);
@@ -901,6 +1415,18 @@ class Node {
         return css;
     }
 
+    /**
+     * Escapes a plain attribute value the way this node's document stores it: with XML or HTML
+     * rules, leaving template regions as written.
+     * @param {string} value - Plain attribute value
+     * @returns {string} The value as stored in `attributes`
+     * @private
+     */
+    #escapeAttributeValue(value) {
+        const xml = this.#isXml();
+        return this.#mapOutsideTemplates(value, (part) => { return escapeAttribute(part, xml); });
+    }
+
     /**
      * Executes a basic CSS selector and returns matching nodes.
      * @param {string} selector - CSS selector to execute
@@ -910,39 +1436,6 @@ class Node {
     #executeBasicSelector(selector) {
         const results = [];
 
-        // Parse basic selectors
-        const selectorParts = selector.match(REGEX.querySelectorParts)
-            ?.filter(Boolean)
-            ?.join('') || '';
-
-        const tagMatch = selectorParts.match(REGEX.queryTagMatch);
-        const idMatch = selectorParts.match(REGEX.queryIdMatch);
-        const classMatches = selectorParts.match(REGEX.queryClassMatches);
-        const attrMatches = selectorParts.match(REGEX.queryAttributeMatches);
-
-        const tagName = tagMatch ? tagMatch[0] : null;
-        const id = idMatch ? idMatch[1] : null;
-        const classes = classMatches ? classMatches.map((c) => { return c.substring(1); }) : [];
-
-        // Parse attribute selectors
-        const attributes = [];
-        if (attrMatches) {
-            for (const attrMatch of attrMatches) {
-                const attrContent = attrMatch.slice(1, -1); // Remove [ and ]
-
-                // Check for value comparison
-                if (attrContent.includes('=')) {
-                    const [name, rawValue] = attrContent.split('=');
-                    // Remove quotes from value if present
-                    const value = rawValue.replace(REGEX.rawValue, '$1');
-                    attributes.push({ name, value, hasValue: true });
-                } else {
-                    // Just check for attribute existence
-                    attributes.push({ name: attrContent, hasValue: false });
-                }
-            }
-        }
-
         // For "pre div" or other descendant selectors
         const isDescendantSelector = selector.includes(' ');
         if (isDescendantSelector) {
@@ -968,6 +1461,8 @@ class Node {
             return results;
         }
 
+        const basicSelector = this.#parseBasicSelector(selector);
+
         // Traverse the tree
         const queue = [this];
 
@@ -975,59 +1470,16 @@ class Node {
             const node = queue.shift();
 
             // Check if the node matches the selector
-            if (node.type === 'tag-open') {
-                let matches = true;
-
-                // Check tag name
-                if (tagName && node.name !== tagName) {
-                    matches = false;
-                }
-
-                // Check ID
-                if (id && node.getAttribute('id') !== id) {
-                    matches = false;
-                }
+            if (node.#matchesBasicSelector(basicSelector)) {
+                results.push(node);
+            }
 
-                // Check classes
-                if (classes.length > 0) {
-                    const nodeClasses = (node.getAttribute('class') || '').split(REGEX.whitespace);
-                    for (const cls of classes) {
-                        if (!nodeClasses.includes(cls)) {
-                            matches = false;
-                            break;
-                        }
-                    }
-                }
+            // Add children to queue
+            queue.push(...node.children);
+        }
 
-                // Check attributes
-                if (attributes.length > 0) {
-                    for (const attr of attributes) {
-                        const nodeAttrValue = node.getAttribute(attr.name);
-
-                        if (attr.hasValue) {
-                            // Check attribute has specific value
-                            if (nodeAttrValue !== attr.value) {
-                                matches = false;
-                                break;
-                            }
-                        } else if (nodeAttrValue === undefined) {
-                            matches = false;
-                            break;
-                        }
-                    }
-                }
-
-                if (matches) {
-                    results.push(node);
-                }
-            }
-
-            // Add children to queue
-            queue.push(...node.children);
-        }
-
-        return results;
-    }
+        return results;
+    }
 
     /**
      * Extracts a node (and its closing tag if applicable) from its current parent.
@@ -1098,7 +1550,8 @@ class Node {
 
         while (queue.length > 0) {
             const node = queue.shift();
-            if (node.type === 'tag-open' && Object.prototype.hasOwnProperty.call(node.attributes, attrName)) {
+            if (node.type === 'tag-open' &&
+                Object.prototype.hasOwnProperty.call(node.attributes, node.#findAttributeName(attrName))) {
                 results.push(node);
             }
             queue.push(...node.children);
@@ -1118,7 +1571,7 @@ class Node {
 
         while (queue.length > 0) {
             const node = queue.shift();
-            if (node.type === 'tag-open' && node.name === tagName) {
+            if (node.type === 'tag-open' && this.#namesMatch(node.name, tagName)) {
                 results.push(node);
             }
             queue.push(...node.children);
@@ -1167,7 +1620,7 @@ class Node {
         const candidate = openingTag.parent.children[index + 1];
         if (candidate &&
             candidate.type === 'tag-close' &&
-            candidate.name === openingTag.name) {
+            this.#namesMatch(candidate.name, openingTag.name)) {
             return candidate;
         }
 
@@ -1207,26 +1660,9 @@ class Node {
             candidateNodes = this.#executeBasicSelector(mainSelector);
         }
 
-        // Filter out nodes that match any :not() selector
+        // Filter out nodes that match any :not() selector, checking each node on its own
         for (const node of candidateNodes) {
-            let includeNode = true;
-
-            for (const notSelector of notSelectors) {
-                /**
-                 * We need to find if this specific node is matched by the not selector.
-                 * Start from the root to find all nodes matching the not selector.
-                 */
-                const root = this.#findRoot();
-                const notMatches = root.#executeBasicSelector(notSelector);
-
-                // If the current node is in the not matches, exclude it
-                if (notMatches.includes(node)) {
-                    includeNode = false;
-                    break;
-                }
-            }
-
-            if (includeNode) {
+            if (!notSelectors.some((notSelector) => { return node.#matchesSelector(notSelector); })) {
                 results.push(node);
             }
         }
@@ -1234,6 +1670,53 @@ class Node {
         return results;
     }
 
+    /**
+     * Finds the parser that built the tree, for parsing HTML into it.
+     * @returns {SimpleHtmlParser} The parser
+     * @throws {Error} If the tree was not created by a parser
+     * @private
+     */
+    #findParser() {
+        const { parser } = this.#findRoot();
+        if (!parser || typeof parser.parseFragment !== 'function') {
+            throw new Error('Parser not found. Node tree must be created via parser.parse()');
+        }
+        return parser;
+    }
+
+    /**
+     * Finds a sibling of this node, stepping over the closing tags of elements. A closing tag
+     * stands in for its element; a stray closing tag, with no element before it, is a sibling in
+     * its own right.
+     * @param {number} direction - 1 to look forward, -1 to look backward
+     * @param {boolean} elementsOnly - Whether to skip nodes other than elements
+     * @returns {Node|null} The sibling, or null if there is none
+     * @private
+     */
+    #findSibling(direction, elementsOnly) {
+        const siblings = this.parent?.children ?? [];
+        const closes = (index) => {
+            const node = siblings[index];
+            const opening = siblings[index - 1];
+            return node.type === 'tag-close' && opening?.type === 'tag-open' && this.#namesMatch(opening.name, node.name);
+        };
+
+        let index = siblings.indexOf(this);
+        if (index === -1) {
+            return null;
+        }
+        if (closes(index)) {
+            index -= 1;
+        }
+
+        let node = null;
+        do {
+            index += direction;
+            node = siblings[index] ?? null;
+        } while (node && (closes(index) || (elementsOnly && node.type !== 'tag-open')));
+        return node;
+    }
+
     /**
      * Finds the root node of the tree.
      * @returns {Node} Root node
@@ -1268,12 +1751,102 @@ class Node {
     }
 
     /**
-     * Gets the value of an attribute.
+     * Joins the text of an element's descendants for textContent.
+     * @returns {string} The text
+     * @private
+     */
+    #getDescendantText() {
+        if (this.styleBlock) {
+            return this.#styleToString();
+        }
+
+        let text = '';
+        for (const child of this.children) {
+            if (child.type === 'text' || child.type === 'cdata') {
+                text += child.textContent;
+            } else if (child.type === 'template' || (child.type === 'comment' && this.scriptBlock)) {
+                // Template regions and the JS comments of a script are part of its text as written
+                text += child.getTag();
+            } else if (child.type === 'tag-open') {
+                text += child.#getDescendantText();
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Finds the key under which an attribute is stored, ignoring case as HTML does.
+     * @param {string} name - Attribute name in any case
+     * @returns {string} The existing key, or the name itself if the attribute is not set
+     * @private
+     */
+    #findAttributeName(name) {
+        if (Object.prototype.hasOwnProperty.call(this.attributes, name)) {
+            return name;
+        }
+
+        return Object.keys(this.attributes).find((key) => { return this.#namesMatch(key, name); }) ?? name;
+    }
+
+    /**
+     * Gets the parts of an attribute value outside its template regions, decoded like
+     * getAttribute(). Each region separates the parts before and after it, so a value with n
+     * regions has n + 1 parts, some of which may be empty.
+     * @param {string} name - Attribute name
+     * @returns {string[]|undefined} The parts, or undefined if the attribute is not set
+     * @private
+     */
+    #getAttributeParts(name) {
+        const value = this.attributes[this.#findAttributeName(name)];
+        if (value === undefined) {
+            return undefined;
+        }
+
+        const xml = this.#isXml();
+        const parts = [];
+        this.#mapOutsideTemplates(value, (text) => {
+            parts.push(xml ? decodeXmlEntities(text) : decodeEntities(text, true));
+            return text;
+        });
+        return parts;
+    }
+
+    /**
+     * Gets the whitespace-separated words of an attribute value (e.g. its classes) that lie wholly
+     * outside template regions; a word running into a region is not known in full, so it is left out.
+     * @param {string} name - Attribute name
+     * @returns {string[]} The words
+     * @private
+     */
+    #getAttributeWords(name) {
+        const parts = this.#getAttributeParts(name) ?? [];
+        return parts.flatMap((part, index) => {
+            const words = part.split(REGEX.whitespace);
+            if (index > 0) {
+                words.shift();
+            }
+            if (index < parts.length - 1) {
+                words.pop();
+            }
+            return words.filter(Boolean);
+        });
+    }
+
+    /**
+     * Gets the value of an attribute. Names are matched case-insensitively, and character
+     * references in the value (e.g. `&amp;` or `&#x27;`) are decoded, except inside template regions.
      * @param {string} name - Attribute name
      * @returns {string|undefined} Attribute value or undefined if not found
      */
     getAttribute(name) {
-        return this.attributes[name];
+        const value = this.attributes[this.#findAttributeName(name)];
+        if (value === undefined || !value.includes('&')) {
+            return value;
+        }
+        const xml = this.#isXml();
+        return this.#mapOutsideTemplates(value, (text) => {
+            return xml ? decodeXmlEntities(text) : decodeEntities(text, true);
+        });
     }
 
     /**
@@ -1329,6 +1902,16 @@ class Node {
                 // eslint-disable-next-line no-continue
                 continue;
             }
+            // Values parsed from single quotes may contain double quotes; keep them intact. Quotes
+            // inside template regions never ended the value, so only the rest decides
+            const outside = value.includes('"') ?
+                this.#mapOutsideTemplates(value, (text) => { return text; }, () => { return ''; }) :
+                value;
+            if (outside.includes('"') && !outside.includes("'")) {
+                attrs += ` ${key}='${value}'`;
+                // eslint-disable-next-line no-continue
+                continue;
+            }
             attrs += ` ${key}="${value}"`;
         }
         return attrs;
@@ -1360,6 +1943,19 @@ class Node {
         return results;
     }
 
+    /**
+     * Builds the signature used to detect changes to a tag after its raw text was recorded.
+     * @returns {string} Signature of the tag's name and attributes, plus the fields of doctypes and
+     *          processing instructions
+     * @private
+     */
+    #getRawSignature() {
+        if (this.type === 'doctype' || this.type === 'processing-instruction') {
+            return JSON.stringify([this.name, this.publicId, this.systemId, this.target, this.content]);
+        }
+        return `${this.name}\u0000${JSON.stringify(this.attributes)}\u0000${this.selfClosing}`;
+    }
+
     /**
      * Gets the HTML tag for this node without its children; e.g., "<div id='main'>"
      * @returns {string} HTML tag
@@ -1370,24 +1966,77 @@ class Node {
         }
 
         if (this.type === 'comment') {
-            const commentType = this.commentType || 'html-comment';
+            // JS comments in special tags are written with their own delimiters
+            const [open, close] = JS_COMMENT_DELIMITERS[this.commentType] ?? ['<!--', '-->'];
+            return `${open}${this.content}${close}`;
+        }
 
-            if (commentType === 'js-single-line') {
-                return `//${this.content}`;
-            } if (commentType === 'js-multi-line') {
-                return `/*${this.content}*/`;
-            }
-            return `<!--${this.content}-->`;
+        if (this.type === 'cdata') {
+            return `<![CDATA[${this.content}]]>`;
         }
 
-        if (this.type === 'tag-open' || this.type === 'tag-close') {
-            const attrs = this.#getNodeAttributesString(this);
-            return `<${this.name}${attrs}>`;
+        if (this.type === 'template') {
+            return `${this.delimiters[0]}${this.content}${this.delimiters[1]}`;
+        }
+
+        if (this.type === 'tag-open' || this.type === 'tag-close' ||
+            this.type === 'doctype' || this.type === 'processing-instruction') {
+            return this.#getTagHtml();
         }
 
         return '';
     }
 
+    /**
+     * Serializes a doctype node from its fields, e.g. `<!DOCTYPE html>`.
+     * @returns {string} The doctype declaration
+     * @private
+     */
+    #getDoctypeHtml() {
+        let ids = '';
+        if (this.publicId != null) {
+            ids = ` PUBLIC "${this.publicId}"${this.systemId != null ? ` "${this.systemId}"` : ''}`;
+        } else if (this.systemId != null) {
+            ids = ` SYSTEM "${this.systemId}"`;
+        }
+        return `<!DOCTYPE ${this.name}${ids}>`;
+    }
+
+    /**
+     * Serializes this opening or closing tag (or doctype or processing instruction), using the raw
+     * source text when the tag is unchanged.
+     * @returns {string} HTML for the tag alone
+     * @private
+     */
+    #getTagHtml() {
+        if (this.#raw !== null && this.#rawSignature === this.#getRawSignature()) {
+            return this.#raw;
+        }
+
+        if (this.type === 'tag-close') {
+            return `</${this.name}>`;
+        }
+
+        if (this.type === 'doctype') {
+            return this.#getDoctypeHtml();
+        }
+
+        if (this.type === 'processing-instruction') {
+            return `<?${this.target}${this.content ? ` ${this.content}` : ''}?>`;
+        }
+
+        return `<${this.name}${this.#getNodeAttributesString(this)}${this.selfClosing ? '/' : ''}>`;
+    }
+
+    /**
+     * Checks whether this node holds content of its own: an element, or a root or fragment node.
+     * @returns {boolean} True if the node can have text set as its content
+     * @private
+     */
+    #holdsContent() {
+        return this.type === 'tag-open' || this.type === 'root' || this.type === 'fragment';
+    }
+
     /**
      * Gets the HTML content of this node's children without the node's own tags.
      * @param {boolean} [showComments=false] - Whether to include comments in the output
@@ -1399,6 +2048,9 @@ class Node {
         for (const child of this.children) {
             result += child.toHtml(showComments);
         }
+        if (this.content instanceof Node) {
+            result += this.content.toHtml(showComments);
+        }
         return result;
     }
 
@@ -1541,7 +2193,7 @@ class Node {
             const openCandidate = this.parent.children[closeIndex - 1];
             if (openCandidate &&
             openCandidate.type === 'tag-open' &&
-            openCandidate.name === this.name) {
+            this.#namesMatch(openCandidate.name, this.name)) {
                 targetNode = openCandidate;
             }
         }
@@ -1598,7 +2250,9 @@ class Node {
 
     /**
      * Inserts HTML string at a specific position relative to this element.
-     * Mimics the browser's insertAdjacentHTML API.
+     * Mimics the browser's insertAdjacentHTML API: the HTML is parsed as the content of the element
+     * it is inserted into (see SimpleHtmlParser#parseFragment), so text inserted into a script stays
+     * text and elements inserted into an SVG are SVG elements.
      *
      * @param {string} position - Position relative to element:
      *   - 'beforebegin': Before the element (outside)
@@ -1634,19 +2288,8 @@ class Node {
         }
 
         // Find parser from root node
-        const root = this.#findRoot();
-        const parser = root.parser;
-        if (!parser || typeof parser.parse !== 'function') {
-            throw new Error('Parser not found. Node tree must be created via parser.parse()');
-        }
-
-        // Parse HTML
-        const parsedRoot = parser.parse(html);
-        const nodesToInsert = parsedRoot.children.flat(); // Get all top-level nodes
-
-        if (nodesToInsert.length === 0) {
-            return this; // Nothing to insert
-        }
+        // Check there is a parser before anything else
+        this.#findParser();
 
         // Handle closing tags (redirect to opening tag)
         let targetNode = this;
@@ -1655,12 +2298,22 @@ class Node {
             const closeIndex = this.parent.children.indexOf(this);
             if (closeIndex !== -1) {
                 const openCandidate = this.parent.children[closeIndex - 1];
-                if (openCandidate?.type === 'tag-open' && openCandidate.name === this.name) {
+                if (openCandidate?.type === 'tag-open' && this.#namesMatch(openCandidate.name, this.name)) {
                     targetNode = openCandidate;
                 }
             }
         }
 
+        // Parse HTML as the content of the element it ends up in
+        const inside = position === 'afterbegin' || position === 'beforeend';
+        const context = inside ? targetNode : targetNode.parent;
+        const fragment = this.#parseFragment(html, context);
+        const nodesToInsert = [...fragment.children]; // Get all top-level nodes
+
+        if (nodesToInsert.length === 0) {
+            return this; // Nothing to insert
+        }
+
         // Route based on position
         switch (position) {
             case 'beforebegin':
@@ -1674,9 +2327,7 @@ class Node {
                 if (targetNode.type !== 'tag-open') {
                     throw new Error('afterbegin can only be used on element nodes');
                 }
-                if (VOID_ELEMS.includes(targetNode.name)) {
-                    throw new Error('afterbegin cannot be used on void elements');
-                }
+                this.#assertHoldsContent(targetNode, 'afterbegin');
                 // Insert at start of children array
                 for (let i = nodesToInsert.length - 1; i >= 0; i--) {
                     nodesToInsert[i].parent = targetNode;
@@ -1688,9 +2339,7 @@ class Node {
                 if (targetNode.type !== 'tag-open') {
                     throw new Error('beforeend can only be used on element nodes');
                 }
-                if (VOID_ELEMS.includes(targetNode.name)) {
-                    throw new Error('beforeend cannot be used on void elements');
-                }
+                this.#assertHoldsContent(targetNode, 'beforeend');
                 targetNode.appendChild(...nodesToInsert);
                 break;
 
@@ -1706,12 +2355,255 @@ class Node {
     }
 
     /**
-     * Checks if a node is a void element (self-closing tag with no closing tag).
+     * Checks whether a text node is taken literally rather than decoded, as in script, style and
+     * special tag content.
+     * @returns {boolean} True if character references in the text are not decoded
+     * @private
+     */
+    #isLiteralText() {
+        const { parent } = this;
+        if (!parent || parent.type !== 'tag-open' || this.#isXml()) {
+            return false;
+        }
+        return Boolean(parent.scriptBlock) || RAW_TEXT_ELEMS.includes(parent.name.toLowerCase());
+    }
+
+    /**
+     * Checks whether the content of this element is never rendered, as for script, style and
+     * template elements, special tags and the document head.
+     * @returns {boolean} True if innerText leaves the element's content out
+     * @private
+     */
+    #isUnrendered() {
+        return Boolean(this.scriptBlock || this.styleBlock) || UNRENDERED_ELEMS.includes(this.name.toLowerCase());
+    }
+
+    /**
+     * Checks if a node is a void element or written in self-closing form (no closing tag).
      * @param {Node} node - The node to check
      * @returns {boolean} True if the node is a void element
      */
     #isVoidElement(node) {
-        return node.type === 'tag-open' && VOID_ELEMS.includes(node.name);
+        return node.type === 'tag-open' &&
+            (node.selfClosing || (!this.#isXml() && VOID_ELEMS.includes(node.name.toLowerCase())));
+    }
+
+    /**
+     * Checks whether this node belongs to a document parsed as XML.
+     * @returns {boolean} True if the tree's root node was parsed in XML mode
+     * @private
+     */
+    #isXml() {
+        return this.#findRoot().xml;
+    }
+
+    /**
+     * Joins the items collected for innerText into text. Line breaks required next to each other
+     * are merged, none are added at the start or end, and collapsed whitespace is dropped where a
+     * browser does not render it: at the start and end of lines and after another space.
+     * @param {Array<{text: string, preserve: boolean}|{breaks: number}>} items - Collected text
+     * @returns {string} The rendered text
+     * @private
+     */
+    #joinInnerText(items) {
+        let text = '';
+        let breaks = 0;
+        let trailingSpace = false;
+
+        for (const item of items) {
+            if (item.breaks !== undefined) {
+                breaks = Math.max(breaks, item.breaks);
+            } else {
+                const lineStart = text === '' || breaks > 0 || text.endsWith('\n');
+                const part = !item.preserve && (lineStart || trailingSpace) ?
+                    item.text.replace(REGEX.leadingSpace, '') :
+                    item.text;
+
+                if (part !== '') {
+                    // A space before a line break is not rendered
+                    if (trailingSpace && (breaks > 0 || part.startsWith('\n'))) {
+                        text = text.slice(0, -1);
+                    }
+                    if (breaks > 0 && text !== '') {
+                        text += '\n'.repeat(breaks);
+                    }
+                    breaks = 0;
+                    text += part;
+                    trailingSpace = !item.preserve && part.endsWith(' ');
+                }
+            }
+        }
+
+        return trailingSpace ? text.slice(0, -1) : text;
+    }
+
+    /**
+     * Transforms the parts of an attribute value outside its template regions, leaving the regions
+     * themselves as written. Regions are found with the delimiters the document was parsed with.
+     * @param {string} value - Attribute value, as stored
+     * @param {function(string): string} transform - Applied to each part outside a region
+     * @param {function(string): string} [keep] - Applied to each region; keeps it by default
+     * @returns {string} The transformed value
+     * @private
+     */
+    #mapOutsideTemplates(value, transform, keep = (region) => { return region; }) {
+        const delimiters = this.#findRoot().templateDelimiters;
+        let result = '';
+        let textStart = 0;
+        let pos = 0;
+
+        while (delimiters.length > 0 && pos < value.length) {
+            // The longest opening delimiter wins, so '{{{' is not read as '{{'
+            const pair = delimiters.reduce((longest, candidate) => {
+                const matches = value.startsWith(candidate[0], pos) && candidate[0].length > (longest?.[0].length ?? 0);
+                return matches ? candidate : longest;
+            }, null);
+            if (pair) {
+                const closeStart = value.indexOf(pair[1], pos + pair[0].length);
+                const end = closeStart === -1 ? value.length : closeStart + pair[1].length;
+                result += transform(value.substring(textStart, pos)) + keep(value.substring(pos, end));
+                pos = end;
+                textStart = end;
+            } else {
+                pos += 1;
+            }
+        }
+
+        return result + transform(value.substring(textStart));
+    }
+
+    /**
+     * Checks whether this node is an element matched by a CSS selector. The selector is checked
+     * against this element and its ancestors only, without searching the tree.
+     * @param {string} selector - CSS selector, as for querySelectorAll()
+     * @returns {boolean} True if the selector matches this element
+     *
+     * @example
+     * if (link.matches('nav a.active, a[aria-current]')) {
+     *     link.setAttribute('tabindex', '-1');
+     * }
+     */
+    matches(selector) {
+        return selector.split(',').some((singleSelector) => { return this.#matchesSelector(singleSelector.trim()); });
+    }
+
+    /**
+     * Checks whether an attribute selector matches this element. Values are compared outside
+     * template regions only: a region is never matched, and `=` never matches a value containing one.
+     * @param {{name: string, operator?: string, value?: string}} attr - Attribute name, and the
+     *        operator (`=`, `~=`, `^=`, `$=`, `*=` or `|=`) and value to compare with, if any
+     * @returns {boolean} True if the attribute matches
+     * @private
+     */
+    #matchesAttribute({ name, operator, value }) {
+        const parts = this.#getAttributeParts(name);
+        if (!parts || !operator) {
+            return parts !== undefined;
+        }
+
+        const first = parts[0];
+        const whole = parts.length === 1 ? first : null;
+        switch (operator) {
+            case '=':
+                return whole === value;
+            case '|=':
+                return whole === value || first.startsWith(`${value}-`);
+            case '~=':
+                return this.#getAttributeWords(name).includes(value);
+            case '^=':
+                return value !== '' && first.startsWith(value);
+            case '$=':
+                return value !== '' && parts[parts.length - 1].endsWith(value);
+            default:
+                return value !== '' && parts.some((part) => { return part.includes(value); });
+        }
+    }
+
+    /**
+     * Checks whether this node is an element matched by a parsed basic selector.
+     * @param {Object} basicSelector - The selector, as returned by #parseBasicSelector()
+     * @returns {boolean} True if the element has the tag name, ID, classes and attributes required
+     * @private
+     */
+    #matchesBasicSelector({ tagName, id, classes, attributes }) {
+        if (this.type !== 'tag-open') {
+            return false;
+        }
+
+        // Check tag name and ID
+        if ((tagName && !this.#namesMatch(this.name, tagName)) ||
+            (id && !this.#matchesAttribute({ name: 'id', operator: '=', value: id }))) {
+            return false;
+        }
+
+        // Check classes
+        const nodeClasses = this.#getAttributeWords('class');
+        if (!classes.every((cls) => { return nodeClasses.includes(cls); })) {
+            return false;
+        }
+
+        // Check attributes: a value comparison, or just that the attribute is present
+        return attributes.every((attr) => { return this.#matchesAttribute(attr); });
+    }
+
+    /**
+     * Checks whether this node is an element matched by a single (not comma-separated) selector.
+     * The selector is read from right to left: this element must match its last part, and each
+     * part before that an ancestor further out, or with `>`, the parent of the element before.
+     * @param {string} selector - CSS selector, which may include :not()
+     * @returns {boolean} True if the selector matches this element
+     * @private
+     */
+    #matchesSelector(selector) {
+        // Extract :not() selectors
+        const notSelectors = [];
+        const mainSelector = selector.replace(REGEX.notSelector, (match, notSelector) => {
+            notSelectors.push(notSelector.trim());
+            return '';
+        }).trim();
+
+        if (this.type !== 'tag-open' || notSelectors.some((notSelector) => { return this.#matchesSelector(notSelector); })) {
+            return false;
+        }
+        if (mainSelector === '') {
+            return true;
+        }
+
+        const parts = mainSelector.replace(REGEX.childCombinator, ' > ').split(REGEX.whitespace);
+        const basicSelectors = parts.map((part) => { return this.#parseBasicSelector(part); });
+        const matchesFrom = (node, index) => {
+            if (!node.#matchesBasicSelector(basicSelectors[index])) {
+                return false;
+            }
+            if (index === 0) {
+                return true;
+            }
+            if (parts[index - 1] === '>') {
+                return node.parent !== null && index > 1 && matchesFrom(node.parent, index - 2);
+            }
+            for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                if (matchesFrom(ancestor, index - 1)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        return matchesFrom(this, parts.length - 1);
+    }
+
+    /**
+     * Compares two tag or attribute names, ignoring case as HTML does (but not XML).
+     * @param {string} a - First name
+     * @param {string} b - Second name
+     * @returns {boolean} True if the names refer to the same tag or attribute
+     * @private
+     */
+    #namesMatch(a, b) {
+        if (a === b) {
+            return true;
+        }
+        return a.toLowerCase() === b.toLowerCase() && !this.#isXml();
     }
 
     /**
@@ -1724,6 +2616,53 @@ class Node {
         return this.toHtml(showComments);
     }
 
+    /**
+     * Parses a basic selector: a tag name, ID, classes and attribute selectors, with no combinators.
+     * @param {string} selector - Basic selector, e.g. 'p#main.content[data-id]'
+     * @returns {{tagName: string|null, id: string|null, classes: string[], attributes: Object[]}}
+     *          What an element must have to match
+     * @private
+     */
+    #parseBasicSelector(selector) {
+        // Parse basic selectors
+        const selectorParts = selector.match(REGEX.querySelectorParts)
+            ?.filter(Boolean)
+            ?.join('') || '';
+
+        // Attribute values may hold "." and "#", so they are left out when looking for classes and IDs
+        const outsideAttributes = selectorParts.replace(REGEX.queryAttributeMatches, '');
+        const tagMatch = outsideAttributes.match(REGEX.queryTagMatch);
+        const idMatch = outsideAttributes.match(REGEX.queryIdMatch);
+        const classMatches = outsideAttributes.match(REGEX.queryClassMatches);
+        const attrMatches = selectorParts.match(REGEX.queryAttributeMatches);
+
+        const tagName = tagMatch ? tagMatch[0] : null;
+        const id = idMatch ? idMatch[1] : null;
+        const classes = classMatches ? classMatches.map((c) => { return c.substring(1); }) : [];
+
+        // Parse attribute selectors
+        const attributes = [];
+        if (attrMatches) {
+            for (const attrMatch of attrMatches) {
+                const attrContent = attrMatch.slice(1, -1); // Remove [ and ]
+
+                // Check for value comparison: =, ~=, ^=, $=, *= or |=
+                const comparison = attrContent.match(REGEX.attributeSelector);
+                if (comparison) {
+                    const [, name, operator, rawValue] = comparison;
+                    // Remove quotes from value if present
+                    const value = rawValue.trim().replace(REGEX.rawValue, '$1');
+                    attributes.push({ name: name.trim(), operator, value });
+                } else {
+                    // Just check for attribute existence
+                    attributes.push({ name: attrContent });
+                }
+            }
+        }
+
+        return { tagName, id, classes, attributes };
+    }
+
     /**
      * Returns the first node matching the given CSS selector.
      * @param {string} selector - CSS selector
@@ -1761,6 +2700,25 @@ class Node {
         return this.#findMatchingNodes(selector);
     }
 
+    /**
+     * Parses markup with the parser and options the tree was parsed with, as the content of a
+     * context element.
+     * @param {string} html - Markup to parse
+     * @param {Node|null} context - Element the markup is parsed as the content of
+     * @returns {Node} A 'fragment' node holding the parsed nodes
+     * @throws {Error} If the tree was not created by a parser
+     * @throws {ParseError} In XML mode, if the markup is malformed
+     * @private
+     */
+    #parseFragment(html, context) {
+        const root = this.#findRoot();
+        return this.#findParser().parseFragment(html, context, {
+            ...root.parseOptions,
+            templateDelimiters: root.templateDelimiters,
+            xml: root.xml
+        });
+    }
+
     /**
      * Removes this node from the tree.
      * @returns {Node} The removed node
@@ -1772,7 +2730,7 @@ class Node {
                 // If this is an opening tag, check if the NEXT node is its closing tag
                 if (this.type === 'tag-open' && index + 1 < this.parent.children.length) {
                     const nextSibling = this.parent.children[index + 1];
-                    if (nextSibling.type === 'tag-close' && nextSibling.name === this.name) {
+                    if (nextSibling.type === 'tag-close' && this.#namesMatch(nextSibling.name, this.name)) {
                         // Remove both tags in one operation
                         this.parent.children.splice(index, 2);
                         this.parent = null;
@@ -1783,7 +2741,7 @@ class Node {
                 // If this is a closing tag, check if the PREVIOUS node is its opening tag
                 if (this.type === 'tag-close' && index > 0) {
                     const prevSibling = this.parent.children[index - 1];
-                    if (prevSibling.type === 'tag-open' && prevSibling.name === this.name) {
+                    if (prevSibling.type === 'tag-open' && this.#namesMatch(prevSibling.name, this.name)) {
                         // Remove both tags in one operation
                         this.parent.children.splice(index - 1, 2);
                         this.parent = null;
@@ -1800,11 +2758,65 @@ class Node {
     }
 
     /**
-     * Removes an attribute from the node.
+     * Removes an attribute from the node. Names are matched case-insensitively.
      * @param {string} name - Attribute name to remove
      */
     removeAttribute(name) {
-        delete this.attributes[name];
+        delete this.attributes[this.#findAttributeName(name)];
+    }
+
+    /**
+     * Replaces all children of this node with the given nodes, which are taken as they are: unlike
+     * appendChild(), whitespace and closing tags are not moved along with them.
+     * @param {Node[]} nodes - The new children
+     * @private
+     */
+    #replaceChildren(nodes) {
+        for (const child of this.children) {
+            child.parent = null;
+        }
+        for (const node of nodes) {
+            node.parent = this;
+        }
+        this.children = nodes;
+    }
+
+    /**
+     * Replaces all children of this node (or a template's contents) with a single text node
+     * holding the text, escaped as needed. Style and script blocks have the text parsed into CSS
+     * or script nodes instead, with the parser that built the tree.
+     * @param {string} text - The new text
+     * @param {string} property - Name of the property being set, for errors
+     * @throws {Error} If this is a void or self-closing element
+     * @private
+     */
+    #replaceChildrenWithText(text, property) {
+        if (this.#isVoidElement(this)) {
+            throw new Error(`${property} cannot be set on void or self-closing elements`);
+        }
+
+        if ((this.styleBlock || this.scriptBlock) && this.#findRoot().parser) {
+            this.setInnerHtml(text);
+            return;
+        }
+
+        // Without a parser the CSS is kept as plain text, by the element and its closing tag alike
+        if (this.styleBlock) {
+            const closing = this.#findClosingTag(this);
+            this.styleBlock = false;
+            if (closing) {
+                closing.styleBlock = false;
+            }
+        }
+
+        // A template's text replaces its contents, as with setInnerHtml()
+        const target = this.content instanceof Node ? this.content : this;
+        target.#replaceChildren([]);
+        if (text !== '') {
+            const textNode = new Node('text');
+            target.#replaceChildren([textNode]);
+            textNode.textContent = text;
+        }
     }
 
     /**
@@ -1905,12 +2917,161 @@ class Node {
     }
 
     /**
-     * Sets an attribute on the node.
+     * Sets an attribute on the node. An existing attribute is matched case-insensitively and keeps
+     * the case it was written with. The value is plain text; characters such as "&" and '"' are
+     * escaped when it is stored, except inside template regions. Setting the value an attribute
+     * already has leaves it as written.
      * @param {string} name - Attribute name
      * @param {string} value - Attribute value
      */
     setAttribute(name, value) {
-        this.attributes[name] = value;
+        const key = this.#findAttributeName(name);
+        const text = String(value);
+        if (text === '__EMPVAL__') {
+            this.attributes[key] = text;
+        } else if (this.getAttribute(key) !== text) {
+            this.attributes[key] = this.#escapeAttributeValue(text);
+        }
+    }
+
+    /**
+     * Replaces the content of this element with HTML, parsed with the parser that built the tree as
+     * the content of this element (see insertAdjacentHTML()). The HTML is parsed before anything
+     * is changed, so a parse error leaves the tree as it was. The element's closing tag stays in
+     * place; for a `<template>`, its contents are replaced.
+     * @param {string} html - HTML to parse
+     * @returns {Node} This node for chaining
+     * @throws {Error} If this is not an element, or is a void or self-closing element, or the tree
+     *         was not created by a parser
+     * @throws {ParseError} In XML mode, if the markup is malformed
+     *
+     * @example
+     * // <ul><li>Old</li></ul>
+     * list.setInnerHtml('<li>One</li><li>Two</li>');
+     * // <ul><li>One</li><li>Two</li></ul>
+     */
+    setInnerHtml(html) {
+        if (!this.#holdsContent()) {
+            throw new Error('setInnerHtml can only be used on elements');
+        }
+        if (this.#isVoidElement(this)) {
+            throw new Error('setInnerHtml cannot be used on void or self-closing elements');
+        }
+
+        const fragment = this.#parseFragment(html, this);
+
+        const target = this.content instanceof Node ? this.content : this;
+        target.#replaceChildren(fragment.children);
+        if (this.styleBlock) {
+            this.rawContent = html;
+        }
+        return this;
+    }
+
+    /**
+     * Replaces this node with HTML, parsed with the parser that built the tree as content of this
+     * node's parent. An element is replaced together with its content and closing tag. The HTML is
+     * parsed before anything is changed, so a parse error leaves the tree as it was.
+     * @param {string} html - HTML to parse
+     * @returns {Node} This node, now removed from the tree
+     * @throws {Error} If this node has no parent or is a closing tag, or the tree was not created
+     *         by a parser
+     * @throws {ParseError} In XML mode, if the markup is malformed
+     *
+     * @example
+     * // <div><b>Old</b></div>
+     * bold.setOuterHtml('<i>New</i>!');
+     * // <div><i>New</i>!</div>
+     */
+    setOuterHtml(html) {
+        if (!this.parent) {
+            throw new Error('Cannot replace a node with no parent');
+        }
+        if (this.type === 'tag-close') {
+            throw new Error('setOuterHtml cannot be used on closing tags; use it on the opening tag');
+        }
+
+        const fragment = this.#parseFragment(html, this.parent);
+
+        // Detached first, so that replaceWith() takes them as they are
+        const nodes = fragment.children;
+        fragment.#replaceChildren([]);
+        return this.replaceWith(...nodes);
+    }
+
+    /**
+     * Converts the CSS tree of a style block back to CSS, using the original source text while the
+     * tree is unchanged.
+     * @returns {string} The style block's CSS
+     * @private
+     */
+    #styleToString() {
+        if (this.children.length === 0 && this.#rawContent === null) {
+            return '';
+        }
+        const css = this.#cssTreeToString(this.children, 0);
+        return this.#rawContent !== null && css === this.#rawContentSignature ? this.#rawContent : `\n${css}`;
+    }
+
+    /**
+     * Serializes the node and its children to bytes. Meta tags within the node that declare a
+     * charset (`<meta charset>` or an http-equiv content-type), and the `<?xml?>` declaration of a
+     * document, are written with the encoding used, so the output always declares the encoding it
+     * is written in; the node itself is left unchanged. Characters a single-byte encoding cannot
+     * represent are written as numeric character references.
+     * @param {Object} [options={}] - Serialization options
+     * @param {string} [options.encoding] - Encoding to write; defaults to the encoding the document
+     *        was parsed from, or UTF-8 if there is none or it is a multi-byte legacy encoding that
+     *        cannot be written (e.g. Shift_JIS or GBK)
+     * @param {boolean} [options.showComments=true] - Whether to include comments in the output
+     * @returns {Uint8Array} The encoded HTML
+     *
+     * @example
+     * const dom = parser.parse(fs.readFileSync('page.html'));
+     * fs.writeFileSync('page.html', dom.toBytes({ encoding: 'utf-8' }));
+     */
+    toBytes(options = {}) {
+        const { showComments = true } = options;
+        let encoding = canonicalEncoding(options.encoding ?? this.#findRoot().encoding ?? 'utf-8');
+        if (!encoding) {
+            throw new Error(`Unknown character encoding: ${options.encoding}`);
+        }
+
+        // A document read from a multi-byte legacy encoding (Shift_JIS, GBK, ...) is written as UTF-8
+        if (options.encoding === undefined && !canEncode(encoding)) {
+            encoding = 'utf-8';
+        }
+
+        // Declarations are updated on a copy, which keeps the node's context for serializing
+        const copy = this.#copy(true);
+        copy.parent = this.parent;
+
+        for (const meta of copy.querySelectorAll('meta')) {
+            const charset = meta.getAttribute('charset');
+            const httpEquiv = meta.getAttribute('http-equiv');
+            if (charset !== undefined && canonicalEncoding(charset) !== encoding) {
+                meta.setAttribute('charset', encoding);
+            } else if (charset === undefined && httpEquiv?.toLowerCase() === 'content-type') {
+                const content = meta.getAttribute('content') ?? '';
+                const declared = getContentCharset(content);
+                if (declared !== null && canonicalEncoding(declared) !== encoding) {
+                    meta.setAttribute('content', setContentCharset(content, encoding));
+                }
+            }
+        }
+
+        // Documents without an encoding declaration are read as UTF-8 (or UTF-16, by its BOM)
+        const declaration = copy.children.find((child) => {
+            return child.type === 'processing-instruction' && child.target === 'xml';
+        });
+        if (declaration) {
+            const declared = getDeclarationEncoding(declaration.content);
+            if (declared === null ? !encoding.startsWith('utf-') : canonicalEncoding(declared) !== encoding) {
+                declaration.content = setDeclarationEncoding(declaration.content, encoding);
+            }
+        }
+
+        return encodeText(copy.toHtml(showComments), encoding);
     }
 
     /**
@@ -1929,24 +3090,18 @@ class Node {
                 return '';
             }
 
-            const commentType = this.commentType || 'html-comment';
-
-            if (commentType === 'js-single-line') {
-                return `//${this.content}`;
-            } if (commentType === 'js-multi-line') {
-                return `/*${this.content}*/`;
-            }
-            return `<!--${this.content}-->`;
+            // JS comments in special tags are written with their own delimiters
+            const [open, close] = JS_COMMENT_DELIMITERS[this.commentType] ?? ['<!--', '-->'];
+            return `${open}${this.content}${close}`;
 
         }
 
         if (this.type === 'tag-open') {
-            const attrs = this.#getNodeAttributesString(this);
-            let result = `<${this.name}${attrs}>`;
+            let result = this.#getTagHtml();
 
             // Handle style tags specially - convert CSS nodes back to CSS
-            if (this.styleBlock && this.children.length > 0) {
-                result += `\n${this.#cssTreeToString(this.children, 0)}`;
+            if (this.styleBlock) {
+                result += this.#styleToString();
             } else {
                 // Regular tags and script tags
                 for (const child of this.children) {
@@ -1954,11 +3109,29 @@ class Node {
                 }
             }
 
+            // Template contents are kept in a fragment but serialized in place
+            if (this.content instanceof Node) {
+                result += this.content.toHtml(showComments);
+            }
+
             return result;
         }
 
-        if (this.type === 'tag-close') {
-            return `</${this.name}>`;
+        if (this.type === 'tag-close' || this.type === 'doctype' || this.type === 'processing-instruction') {
+            return this.#getTagHtml();
+        }
+
+        if (this.type === 'cdata') {
+            return `<![CDATA[${this.content}]]>`;
+        }
+
+        if (this.type === 'template') {
+            return this.getTag();
+        }
+
+        // A fragment parsed for a style element holds CSS
+        if (this.styleBlock) {
+            return this.#cssTreeToString(this.children, 0);
         }
 
         // Root node - just return children
@@ -1969,6 +3142,88 @@ class Node {
         return result;
     }
 
+    /**
+     * Converts the node and its children to well-formed XML, e.g. to write an HTML document out as
+     * XHTML. Where toHtml() keeps the markup as it was written, toXml() closes every element (empty
+     * ones as `<br/>`), drops stray closing tags, gives valueless attributes an empty value and
+     * re-escapes text and attribute values with XML's own character references. Elements of an HTML
+     * document also declare their namespace wherever it changes, e.g. `<svg xmlns="...">`.
+     * @param {boolean} [showComments=false] - Whether to include comments in the output
+     * @returns {string} XML representation of the node
+     *
+     * @example
+     * const dom = parser.parse('<p>A&nbsp;B<br></p>');
+     * dom.toXml(); // '<p xmlns="http://www.w3.org/1999/xhtml">A\u00A0B<br/></p>'
+     */
+    toXml(showComments = false) {
+        return this.#toXml(showComments, !this.#isXml(), null);
+    }
+
+    /**
+     * Serializes a node and its children as XML; see toXml().
+     * @param {boolean} showComments - Whether to include comments in the output
+     * @param {boolean} declareNamespaces - Whether elements declare their namespace where it changes
+     * @param {string|null} parentNamespace - Namespace of the enclosing element, if any
+     * @returns {string} XML representation of the node
+     * @private
+     */
+    #toXml(showComments, declareNamespaces, parentNamespace) {
+        switch (this.type) {
+            case 'text':
+                return escapeText(this.textContent, true);
+
+            case 'comment':
+                if (!showComments) {
+                    return '';
+                }
+                // JS comments are part of a script's text
+                return this.commentType && this.commentType !== 'html-comment' ?
+                    escapeText(this.getTag(), true) :
+                    `<!--${this.content}-->`;
+
+            case 'doctype':
+                return this.#getDoctypeHtml();
+
+            case 'cdata':
+            case 'processing-instruction':
+            case 'template':
+                return this.getTag();
+
+            case 'tag-close':
+                // Elements are closed by their opening tag
+                return '';
+        }
+
+        const childrenToXml = (children, namespace) => {
+            return children.map((child) => { return child.#toXml(showComments, declareNamespaces, namespace); }).join('');
+        };
+
+        if (this.type !== 'tag-open') {
+            return childrenToXml(this.children, parentNamespace);
+        }
+
+        let attributes = '';
+        if (declareNamespaces && NAMESPACE_URIS[this.namespace] && this.namespace !== parentNamespace &&
+            !('xmlns' in this.attributes)) {
+            attributes += ` xmlns="${NAMESPACE_URIS[this.namespace]}"`;
+        }
+        for (const [key, value] of Object.entries(this.attributes)) {
+            const text = value === '__EMPVAL__' ? '' : this.getAttribute(key);
+            attributes += ` ${key}="${this.#mapOutsideTemplates(text, (part) => { return escapeAttribute(part, true); })}"`;
+        }
+
+        let content = this.styleBlock ?
+            escapeText(this.#styleToString(), true) :
+            childrenToXml(this.children, this.namespace);
+        if (this.content instanceof Node) {
+            content += childrenToXml(this.content.children, this.namespace);
+        }
+
+        return content === '' ?
+            `<${this.name}${attributes}/>` :
+            `<${this.name}${attributes}>${content}</${this.name}>`;
+    }
+
     /**
      * Converts the node to its HTML string representation.
      * @returns {string} HTML representation of the node
@@ -1985,13 +3240,14 @@ class Node {
      * @param {string} [separator=' '] - Separator to use when appending
      */
     updateAttribute(name, value, separator = ' ') {
-        if (!(name in this.attributes)) {
-            this.attributes[name] = value;
+        const key = this.#findAttributeName(name);
+        if (!(key in this.attributes)) {
+            this.setAttribute(key, value);
             return;
         }
-        const currentValue = this.attributes[name];
+        const currentValue = this.getAttribute(key);
         if (!currentValue.split(separator).includes(value)) {
-            this.attributes[name] = `${currentValue}${separator}${value}`;
+            this.setAttribute(key, `${currentValue}${separator}${value}`);
         }
     }
 
@@ -2004,6 +3260,7 @@ class Node {
      * @param {boolean} [options.showContent=true] - Whether to show text/comment content previews
      * @param {boolean} [options.showNodeNumber=false] - Whether to show node numbers
      * @param {boolean} [options.showNodeType=false] - Whether to show node types
+     * @param {boolean} [options.showPosition=false] - Whether to show source positions (line:column)
      * @returns {string|undefined} String representation if returnString is true, otherwise undefined
      */
     visualize(options = {}) {
@@ -2014,7 +3271,8 @@ class Node {
             showAttributes: true,
             showContent: true,
             showNodeNumber: false,
-            showNodeType: false
+            showNodeType: false,
+            showPosition: false
         };
 
         // Merge defaults with provided options
@@ -2027,7 +3285,8 @@ class Node {
             showAttributes,
             showContent,
             showNodeNumber,
-            showNodeType
+            showNodeType,
+            showPosition
         } = mergedOptions;
 
         // Initialize output and counter
@@ -2055,21 +3314,61 @@ class Node {
                 .join(' ')}`;
         };
 
+        // Helper function to format a node's label
+        const formatLabel = (node) => {
+            if (node.type === 'root') {
+                return 'ROOT';
+            }
+            if (node.type === 'fragment') {
+                return 'FRAGMENT';
+            }
+            if (node.type === 'text') {
+                return `TEXT${getPreview(node.content)}`;
+            }
+            if (node.type === 'comment') {
+                const commentType = node.commentType ? ` (${node.commentType})` : '';
+                return `COMMENT${commentType}${getPreview(node.content)}`;
+            }
+            if (node.type === 'tag-open') {
+                return `<${node.name}${formatAttributes(node.attributes)}${node.selfClosing ? '/' : ''}>`;
+            }
+            if (node.type === 'tag-close') {
+                return `</${node.name}>`;
+            }
+            if (node.type === 'doctype') {
+                return `DOCTYPE ${node.name}${node.publicId != null ? ` PUBLIC "${node.publicId}"` : ''}`;
+            }
+            if (node.type === 'cdata') {
+                return `CDATA${getPreview(node.content)}`;
+            }
+            if (node.type === 'processing-instruction') {
+                return `PI ${node.target}${getPreview(node.content)}`;
+            }
+            if (node.type === 'template') {
+                return `TEMPLATE ${node.delimiters[0]}${getPreview(node.content)}`;
+            }
+            if (node.type === 'css-root') {
+                return 'CSS-ROOT';
+            }
+            if (node.type === 'css-rule') {
+                return `CSS-RULE ${node.cssSelector}`;
+            }
+            if (node.type === 'css-at-rule') {
+                return `CSS-AT-RULE @${node.cssName}${node.cssParams ? ` ${node.cssParams}` : ''}`;
+            }
+            return '';
+        };
+
+        // Helper function to format a node's source position
+        const formatPosition = (node) => {
+            if (!showPosition || !node.position) return '';
+
+            const { start, end } = node.position;
+            return ` @${start.line}:${start.column}-${end.line}:${end.column}`;
+        };
+
         // Format the current node (which may or may not be the root)
-        let nodeLabel = '';
-        if (this.type === 'root') {
-            nodeLabel = 'ROOT';
-        } else if (this.type === 'text') {
-            nodeLabel = `TEXT${getPreview(this.content)}`;
-        } else if (this.type === 'comment') {
-            const commentType = this.commentType ? ` (${this.commentType})` : '';
-            nodeLabel = `COMMENT${commentType}${getPreview(this.content)}`;
-        } else if (this.type === 'tag-open') {
-            const attrs = formatAttributes(this.attributes);
-            nodeLabel = `<${this.name}${attrs}>`;
-        } else if (this.type === 'tag-close') {
-            nodeLabel = `</${this.name}>`;
-        }
+        let nodeLabel = `${formatLabel(this)}${formatPosition(this)}`;
 
         if (showNodeType) {
             nodeLabel += ` (${this.type}`;
@@ -2084,8 +3383,13 @@ class Node {
         }
         output += `${nodeLabel}\n`;
 
+        // Template contents are shown as a FRAGMENT node ahead of any children
+        const getChildren = (node) => {
+            return node.content instanceof Node ? [node.content, ...node.children] : node.children;
+        };
+
         // Process children of the root with proper indentation
-        const { children } = this;
+        const children = getChildren(this);
         for (let i = 0; i < children.length; i++) {
             const isLastChild = i === children.length - 1;
             const prefix = isLastChild ? '└── ' : '├── ';
@@ -2097,19 +3401,7 @@ class Node {
         // Function to build the tree for child nodes
         function buildChildTree(node, prefix, isLast, parentPrefixes) {
             // Create current line
-            let nodeLabel = '';
-
-            if (node.type === 'text') {
-                nodeLabel = `TEXT${getPreview(node.content)}`;
-            } else if (node.type === 'comment') {
-                const commentType = node.commentType ? ` (${node.commentType})` : '';
-                nodeLabel = `COMMENT${commentType}${getPreview(node.content)}`;
-            } else if (node.type === 'tag-open') {
-                const attrs = formatAttributes(node.attributes);
-                nodeLabel = `<${node.name}${attrs}>`;
-            } else if (node.type === 'tag-close') {
-                nodeLabel = `</${node.name}>`;
-            }
+            const nodeLabel = `${formatLabel(node)}${formatPosition(node)}`;
 
             // Add the current node to output
             output += `${parentPrefixes.join('')}${prefix}${nodeLabel}`;
@@ -2127,16 +3419,17 @@ class Node {
             output += '\n';
 
             // Process children
-            if (node.children.length > 0) {
+            const nodeChildren = getChildren(node);
+            if (nodeChildren.length > 0) {
                 // Next level indentation
                 const nextIndent = isLast ? '    ' : '│   ';
                 const newParentPrefixes = [...parentPrefixes, nextIndent];
 
-                for (let i = 0; i < node.children.length; i++) {
-                    const isLastChild = i === node.children.length - 1;
+                for (let i = 0; i < nodeChildren.length; i++) {
+                    const isLastChild = i === nodeChildren.length - 1;
                     const childPrefix = isLastChild ? '└── ' : '├── ';
 
-                    buildChildTree(node.children[i], childPrefix, isLastChild, newParentPrefixes);
+                    buildChildTree(nodeChildren[i], childPrefix, isLastChild, newParentPrefixes);
                 }
             }
         }
@@ -0,0 +1,128 @@
+/**
+ * The stack of open elements a tree builder adds content to, from the outermost to the one new
+ * content currently goes into. The contents of a <template> are a fragment node on the stack above
+ * the template; searches stop there unless told to cross it. Elements are indexed by name, so that
+ * finding an open element takes the same time however deeply the document is nested.
+ */
+class OpenElements {
+
+    /**
+     * @type {Map<string, number[]>} Stack positions of the open elements with each lowercased name
+     */
+    #byName = new Map();
+
+    /**
+     * @type {number[]} Stack positions of the open template fragments
+     */
+    #fragments = [];
+
+    /**
+     * @type {import('./node.js').Node} Node content goes into once every element is closed
+     */
+    #root = null;
+
+    /**
+     * @type {import('./node.js').Node[]} Open elements and template fragments, innermost last
+     */
+    #stack = [];
+
+    /**
+     * Creates a new, empty stack.
+     * @param {import('./node.js').Node} root - The root or fragment node the tree is built under
+     */
+    constructor(root) {
+        this.#root = root;
+    }
+
+    /**
+     * Gets the node new content currently goes into.
+     * @returns {import('./node.js').Node} The innermost open element or fragment, or the root node
+     */
+    get current() {
+        return this.#stack[this.#stack.length - 1] ?? this.#root;
+    }
+
+    /**
+     * Gets how deeply the current node is nested.
+     * @returns {number} Number of open elements and template fragments
+     */
+    get depth() {
+        return this.#stack.length;
+    }
+
+    /**
+     * Finds the innermost open element with one of the given names.
+     * @param {string[]} names - Lowercased names to look for
+     * @param {string[]} [scope=[]] - Lowercased names of elements that end the search, unless the
+     *        element is itself one of `names`
+     * @param {boolean} [crossFragments=false] - Whether to search beyond template fragments, into
+     *        the elements the template was opened in
+     * @returns {import('./node.js').Node|null} The element, or null if there is none in scope
+     */
+    find(names, scope = [], crossFragments = false) {
+        const last = (name) => { return this.#byName.get(name)?.at(-1) ?? -1; };
+
+        const match = Math.max(...names.map(last));
+        let boundary = crossFragments ? -1 : this.#fragments.at(-1) ?? -1;
+        for (const name of scope) {
+            boundary = Math.max(boundary, last(name));
+        }
+
+        return match !== -1 && match >= boundary ? this.#stack[match] : null;
+    }
+
+    /**
+     * Removes the innermost open element or fragment.
+     * @returns {import('./node.js').Node|null} The node removed, or null if the stack is empty
+     */
+    pop() {
+        const node = this.#stack.pop();
+        if (!node) {
+            return null;
+        }
+
+        if (node.type === 'fragment') {
+            this.#fragments.pop();
+        } else {
+            this.#byName.get(node.name.toLowerCase()).pop();
+        }
+        return node;
+    }
+
+    /**
+     * Removes open elements and fragments up to and including a given one.
+     * @param {import('./node.js').Node} target - An open element or fragment on the stack
+     * @param {Function} [onPop] - Called with each node removed, innermost first
+     */
+    popThrough(target, onPop = () => {}) {
+        let node = null;
+        while (node !== target && this.#stack.length > 0) {
+            node = this.pop();
+            onPop(node);
+        }
+    }
+
+    /**
+     * Adds an element, or the fragment of a template that was just opened, as the innermost node.
+     * @param {import('./node.js').Node} node - The 'tag-open' or 'fragment' node
+     */
+    push(node) {
+        const position = this.#stack.length;
+        this.#stack.push(node);
+
+        if (node.type === 'fragment') {
+            this.#fragments.push(position);
+            return;
+        }
+
+        const name = node.name.toLowerCase();
+        if (!this.#byName.has(name)) {
+            this.#byName.set(name, []);
+        }
+        this.#byName.get(name).push(position);
+    }
+
+}
+
+export { OpenElements };
+export default OpenElements;
@@ -1,18 +1,84 @@
-/* eslint-disable no-continue */
 import { CSSParser } from './css-parser.js';
+import { decodeBytes } from './encoding.js';
+import { decodeXmlEntities } from './entities.js';
+import { ParseError, ParseLimitError } from './errors.js';
+import { JsLexer } from './js-lexer.js';
 import { Node } from './node.js';
+import { OpenElements } from './open-elements.js';
+import { Tokenizer, VOID_ELEMS } from './tokenizer.js';
 
-const REGEX = {
-    attributePattern: /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?/g,
-    jsRegexContext: /[\(\[{,;=:&|!?]/,
-    validTagName: /[a-zA-Z0-9_\-]/,
-    whitespace: /\s+/
+const VERSION = '1.4.0';
+
+/**
+ * Elements of foreign content (SVG and MathML) whose children are parsed as HTML again, keyed by
+ * namespace. These are the HTML spec's integration points.
+ */
+const INTEGRATION_POINTS = {
+    mathml: ['annotation-xml', 'mi', 'mn', 'mo', 'ms', 'mtext'],
+    svg: ['desc', 'foreignobject', 'title']
 };
 
-const VERSION = '1.4.0';
+/**
+ * Element names used by the implied end tag rules, following the HTML spec's tree construction
+ * stage. `scope` lists stop the search for an open element at these ancestors.
+ */
+const IMPLIED_END = {
+    buttonScope: ['applet', 'button', 'caption', 'html', 'marquee', 'object', 'table', 'td', 'template', 'th'],
+    // Start tags that close an open <p>
+    closesParagraph: [
+        'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+        'hr', 'li', 'listing', 'main', 'menu', 'nav', 'ol', 'p', 'plaintext', 'pre', 'search', 'section', 'summary',
+        'table', 'ul', 'xmp'
+    ],
+    defaultScope: ['applet', 'caption', 'html', 'marquee', 'object', 'table', 'td', 'template', 'th'],
+    headings: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+    // Elements whose end tag may be left out; never reported as unclosed when implied end tags are on
+    optionalEnd: [
+        'body', 'caption', 'colgroup', 'dd', 'dt', 'head', 'html', 'li', 'optgroup', 'option', 'p', 'rb', 'rp', 'rt',
+        'rtc', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+    ],
+    // The spec's "special" elements, minus address, div and p, stop the search for an open li/dd/dt
+    listItemScope: [
+        'applet', 'area', 'article', 'aside', 'base', 'basefont', 'bgsound', 'blockquote', 'body', 'br', 'button',
+        'caption', 'center', 'col', 'colgroup', 'details', 'dir', 'dl', 'embed', 'fieldset', 'figcaption', 'figure',
+        'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr',
+        'html', 'iframe', 'img', 'input', 'keygen', 'link', 'listing', 'main', 'marquee', 'menu', 'meta', 'nav',
+        'noembed', 'noframes', 'noscript', 'object', 'ol', 'param', 'plaintext', 'pre', 'script', 'search', 'section',
+        'select', 'source', 'style', 'summary', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead',
+        'title', 'tr', 'track', 'ul', 'wbr', 'xmp'
+    ],
+    tableBodyScope: ['html', 'table', 'template', 'tbody', 'tfoot', 'thead'],
+    tableRowScope: ['html', 'table', 'template', 'tr'],
+    tableScope: ['html', 'table', 'template']
+};
+
+/**
+ * Limits on untrusted input, all unlimited unless set with the `limits` option.
+ */
+const DEFAULT_LIMITS = {
+    maxAttributeLength: Infinity,
+    maxAttributes: Infinity,
+    maxDepth: Infinity,
+    maxInputLength: Infinity,
+    maxNodes: Infinity
+};
+
+/**
+ * Namespace prefixes bound in every XML document, before any xmlns attribute.
+ */
+const XML_NAMESPACES = {
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
 
-// eslint-disable-next-line max-len
-const VOID_ELEMS = ['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'param', 'source', 'track', 'wbr'];
+/**
+ * @typedef {Object} ParserStream
+ * @property {Node} root - Root node of the tree being built; nodes are added as input is parsed
+ * @property {function(string): ParserStream} write - Feeds the next chunk of HTML to the parser
+ * @property {function(string=): Node} end - Feeds an optional last chunk, finishes parsing and
+ *           returns the root node; the stream cannot be written to afterwards
+ */
 
 /**
  * A module for parsing and manipulating HTML using a DOM-like interface.
@@ -20,6 +86,11 @@ const VOID_ELEMS = ['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base',
  */
 class SimpleHtmlParser {
 
+    /**
+     * @type {Object} Default parse options; see the constructor for the supported keys
+     */
+    #options = {};
+
     /**
      * @type {string[]} Tags that are handled specially (content parsed as text)
      */
@@ -33,9 +104,54 @@ class SimpleHtmlParser {
       * elements you want to treat as text blocks.
       *
       * @param {string[]} [specialTags=['jhp', 's_']] - Tags where content is treated as text
+      * @param {Object} [options={}] - Default parse options, overridable per call to parse()
+      * @param {boolean} [options.impliedEndTags=true] - Whether to close elements whose end tag is
+      *        implied by the HTML spec (e.g. an open <li> when the next <li> starts), so documents that
+      *        leave out optional closing tags produce the same tree a browser builds
+      * @param {boolean} [options.lossless=false] - Whether to record the original source text of
+      *        every tag (and style block) so that toHtml() reproduces untouched nodes byte for byte,
+      *        keeping quote style, whitespace between attributes, self-closing slashes and case
+      * @param {boolean} [options.selfClosingTags=false] - Whether a trailing "/" closes any element,
+      *        e.g. `<my-icon />`; it is always honored in SVG and MathML content and never needed for
+      *        void elements
+      * @param {boolean} [options.templateContent=true] - Whether to parse the contents of each
+      *        <template> into a separate fragment node, `template.content`, that queries and
+      *        traversal of the main tree do not enter; it is still serialized in place
+      * @param {Array<string[]>} [options.templateDelimiters=[]] - Opening and closing delimiters of
+      *        template-language regions to keep opaque, e.g. `[['{{', '}}'], ['<%', '%>']]`. In text
+      *        each region becomes a 'template' node; inside tags it stays part of the attribute name or
+      *        value it appears in, and its markup (quotes, "<", ">") is never interpreted
+      * @param {boolean} [options.xml=false] - Whether to parse XML (XHTML, SVG files, RSS, sitemaps,
+      *        etc.) instead of HTML: names are case-sensitive, any element may close itself, there are
+      *        no void elements, special tags or raw text elements, end tags are never implied, element
+      *        namespaces come from xmlns declarations, and malformed markup throws a ParseError
+      *        instead of being repaired
+      * @param {Object} [options.limits={}] - Limits for parsing untrusted input; exceeding one aborts
+      *        parsing with a ParseLimitError. `maxInputLength` (characters), `maxDepth` (elements
+      *        open inside each other), `maxNodes` (nodes in the tree), `maxAttributes` (per element)
+      *        and `maxAttributeLength` (characters in an attribute name or value). Unset limits are
+      *        unlimited; limits passed to a single call are merged over these
       */
-    constructor(specialTags = ['jhp', 's_']) {
+    constructor(specialTags = ['jhp', 's_'], options = {}) {
         this.#specialTags = specialTags;
+        this.#options = {
+            impliedEndTags: true,
+            lossless: false,
+            selfClosingTags: false,
+            templateContent: true,
+            templateDelimiters: [],
+            xml: false,
+            ...options,
+            limits: { ...DEFAULT_LIMITS, ...options.limits }
+        };
+    }
+
+    /**
+     * Gets the default parse options this parser was created with.
+     * @returns {Object} Copy of the parser options
+     */
+    getOptions() {
+        return { ...this.#options, limits: { ...this.#options.limits } };
     }
 
     /**
@@ -47,315 +163,1049 @@ class SimpleHtmlParser {
     }
 
     /**
-     * Parses an HTML string into a tree of nodes.
-     * @param {string} html - HTML string to parse
+     * Parses an HTML string into a tree of nodes. Every node records its `position` (start and end
+     * offset, line and column) within the parsed string.
+     *
+     * Malformed markup is always recovered from. With `options.diagnostics` enabled the problems
+     * found along the way are also recorded on the root node as `root.diagnostics`, an object with
+     * `errors` and `warnings` arrays of `{ code, severity, message, position }` entries:
+     * - `unterminated-tag` (error): A `<` that starts a tag but has no closing `>`
+     * - `unclosed-comment` (error): A `<!--` with no matching `-->`
+     * - `unclosed-cdata` (error): A `<![CDATA[` with no matching `]]>`
+     * - `unmatched-closing-tag` (error): A closing tag with no open element of the same name
+     * - `unclosed-raw-text` (warning): A raw text element (style, script, textarea, etc.) or special
+     *   tag with no closing tag; its content runs to the end of the input
+     * - `unclosed-element` (warning): An element left open by its parent closing or the end of input
+     * - `unclosed-template` (error): A template region with no closing delimiter; it runs to the end
+     *   of the input
+     *
+     * In XML mode nothing is recovered from: the first problem throws a ParseError with its `code`
+     * and `position`. Unclosed elements are errors there, and XML adds its own codes:
+     * `duplicate-attribute`, `invalid-attribute` (no quoted value), `unescaped-less-than`,
+     * `unbound-namespace-prefix`, `misplaced-xml-declaration`, `content-outside-root` and
+     * `missing-root-element`.
+     *
+     * The HTML may also be given as bytes (a Buffer or Uint8Array). Its encoding is then detected
+     * from a byte order mark or a `<meta charset>` / http-equiv content-type declaration (the
+     * `<?xml?>` declaration in XML mode), falling back to `options.encoding`, and recorded on the
+     * root node as `root.encoding`. Positions are offsets into the decoded text.
+     *
+     * @param {string|Uint8Array} html - HTML string (or bytes) to parse
+     * @param {Object} [options={}] - Parse options; overrides the options given to the constructor
+     * @param {boolean} [options.diagnostics=false] - Whether to record diagnostics on the root node
+     * @param {string} [options.encoding='utf-8'] - Encoding of bytes that do not declare one
+     * @param {boolean} [options.impliedEndTags] - Whether to close elements with implied end tags
+     * @param {boolean} [options.lossless] - Whether to record the original source text of tags
+     * @param {boolean} [options.selfClosingTags] - Whether a trailing "/" closes any element
+     * @param {boolean} [options.templateContent] - Whether to parse template contents into a fragment
+     * @param {Array<string[]>} [options.templateDelimiters] - Delimiters of template-language regions
+     * @param {boolean} [options.xml] - Whether to parse XML instead of HTML
+     * @param {Object} [options.limits] - Limits on the input, merged over the constructor's limits
      * @returns {Node} Root node of the parsed tree
+     * @throws {ParseError} In XML mode, if the markup is malformed
+     * @throws {ParseLimitError} If the input exceeds one of the limits
+     *
+     * @example
+     * const dom = parser.parse('<div><p>Hi</div', { diagnostics: true });
+     * if (dom.diagnostics.errors.length > 0) {
+     *     process.exitCode = 1;
+     * }
      */
-    parse(html) {
-        const root = new Node('root');
-        root.parser = this; // Store parser reference for insertAdjacentHTML
-        let currentNode = root;
-        let pos = 0;
-
-        while (pos < html.length) {
-            // Check for comments first
-            if (html[pos] === '<' && html.substring(pos, pos + 4) === '<!--') {
-                const commentEnd = html.indexOf('-->', pos);
-                if (commentEnd === -1) {
-                    pos += 1;
-                    continue;
+    parse(html, options = {}) {
+        const state = this.#createParseState(options);
+        const onToken = (token) => {
+            this.#addToken(state, token);
+        };
+
+        let source = html;
+        if (html instanceof Uint8Array) {
+            const { encoding = 'utf-8', xml } = this.#mergeOptions(options);
+            const decoded = decodeBytes(html, encoding, xml);
+            state.root.encoding = decoded.encoding;
+            source = decoded.text;
+        }
+
+        state.tokenizer.write(source, onToken);
+        state.tokenizer.end(onToken);
+        return this.#finishParse(state);
+    }
+
+    /**
+     * Parses HTML as the content of an element, the way it is read when inserted there: into a
+     * `<script>`, `<textarea>` or special tag the whole input is text, inside `<svg>` and `<math>`
+     * elements are in that namespace (so a trailing "/" closes them), and end tags are only implied
+     * between the parsed elements themselves. Without a context element the input is parsed as
+     * ordinary content.
+     *
+     * @param {string} html - HTML string to parse
+     * @param {Node|null} [context=null] - Element the HTML is meant to become the content of
+     * @param {Object} [options={}] - Parse options; the same as for parse()
+     * @returns {Node} A 'fragment' node holding the parsed nodes as its children
+     * @throws {ParseError} In XML mode, if the markup is malformed
+     * @throws {ParseLimitError} If the input exceeds one of the limits
+     *
+     * @example
+     * const svg = dom.querySelector('svg');
+     * const fragment = parser.parseFragment('<circle r="4"/><text>Hi</text>', svg);
+     * svg.appendChild(...fragment.children);
+     */
+    parseFragment(html, context = null, options = {}) {
+        const state = this.#createParseState(options, {
+            context: context?.type === 'tag-open' ? context : null,
+            fragment: true
+        });
+        const onToken = (token) => {
+            this.#addToken(state, token);
+        };
+
+        state.tokenizer.write(html, onToken);
+        state.tokenizer.end(onToken);
+        return this.#finishParse(state);
+    }
+
+    /**
+     * Creates a stream that builds the same tree as parse() from chunks of HTML fed to it as they
+     * arrive. Tags, comments and raw text blocks may be split across chunks at any point; input
+     * that cannot be parsed yet is held back until the next chunk completes it.
+     *
+     * @param {Object} [options={}] - Parse options; the same as for parse()
+     * @returns {ParserStream} The stream; call `write()` for each chunk and `end()` once the input
+     *          is complete. Either throws a ParseLimitError once the input exceeds one of the limits
+     *
+     * @example
+     * const stream = parser.createStream();
+     * for await (const chunk of response.body.pipeThrough(new TextDecoderStream())) {
+     *     stream.write(chunk);
+     * }
+     * const dom = stream.end();
+     */
+    createStream(options = {}) {
+        const state = this.#createParseState(options);
+        const onToken = (token) => {
+            this.#addToken(state, token);
+        };
+        let ended = false;
+
+        const write = (chunk) => {
+            if (ended) {
+                throw new Error('Cannot write to a parser stream after end() was called');
+            }
+            state.tokenizer.write(chunk, onToken);
+        };
+
+        const stream = {
+            end: (chunk = '') => {
+                write(chunk);
+                ended = true;
+                state.tokenizer.end(onToken);
+                return this.#finishParse(state);
+            },
+            root: state.root,
+            write: (chunk) => {
+                write(chunk);
+                return stream;
+            }
+        };
+
+        return stream;
+    }
+
+    /**
+     * Parses HTML without building a tree, calling event handlers instead as each construct is
+     * read. Attributes, special tags and raw text elements are handled exactly as by parse(), but
+     * events follow the source: no end tags are implied. Return false from any handler to stop
+     * parsing early.
+     *
+     * Handlers (all optional) receive a single object describing the construct, which includes its
+     * `position`:
+     * - `onOpenTag({ name, attributes, selfClosing, namespace })`: `selfClosing` is true when the
+     *   element has no content or closing tag (void elements, foreign content, or `selfClosingTags`)
+     * - `onCloseTag({ name })`
+     * - `onText({ content })`: Text, including the code of special tags and raw text elements
+     * - `onComment({ content })`
+     * - `onDoctype({ name, publicId, systemId })`
+     * - `onCdata({ content })`
+     * - `onProcessingInstruction({ target, content })`
+     * - `onStyleBlock({ name, content })`: The CSS source of a style element, between its open and
+     *   close events
+     * - `onScriptComment({ content, commentType })`: A JS comment in a special tag, with a
+     *   `commentType` such as 'js-single-line' or 'js-multi-line'
+     * - `onTemplate({ content, delimiters })`: A template-language region, with the code between
+     *   its `delimiters`
+     *
+     * @param {string} html - HTML string to parse
+     * @param {Object.<string, Function>} handlers - Event handlers, keyed by event name
+     * @param {Object} [options={}] - Parse options; only `selfClosingTags`, `templateDelimiters`,
+     *        `xml` and the input and attribute `limits` affect events
+     * @returns {boolean} True if the whole input was parsed, false if a handler stopped parsing
+     *
+     * @example
+     * // Read the page title and stop
+     * let inTitle = false;
+     * let title = '';
+     * parser.parseEvents(html, {
+     *     onOpenTag: ({ name }) => { inTitle = name === 'title'; },
+     *     onText: ({ content }) => {
+     *         if (!inTitle) return true;
+     *         title = content;
+     *         return false;
+     *     }
+     * });
+     */
+    parseEvents(html, handlers, options = {}) {
+        // Calls a handler if there is one; false means stop
+        const call = (name, event) => {
+            return handlers[name] ? handlers[name](event) !== false : true;
+        };
+
+        return this.#tokenizeSource(html, options, (token, tokenizer) => {
+            const { position } = token;
+
+            switch (token.type) {
+                case 'startTag':
+                    return call('onOpenTag', {
+                        attributes: token.attributes,
+                        name: token.name,
+                        namespace: token.namespace,
+                        position,
+                        selfClosing: tokenizer.closesItself(token) ||
+                            (!options.xml && VOID_ELEMS.includes(token.name.toLowerCase()))
+                    });
+
+                case 'endTag':
+                    return call('onCloseTag', { name: token.name, position });
+
+                case 'text':
+                    return call('onText', { content: token.content, position });
+
+                case 'comment':
+                    return call('onComment', { content: token.content, position });
+
+                case 'doctype':
+                    return call('onDoctype', {
+                        name: token.name, position, publicId: token.publicId, systemId: token.systemId
+                    });
+
+                case 'cdata':
+                    return call('onCdata', { content: token.content, position });
+
+                case 'processingInstruction':
+                    return call('onProcessingInstruction', { content: token.content, position, target: token.target });
+
+                case 'template':
+                    return call('onTemplate', { content: token.content, delimiters: token.delimiters, position });
+
+                case 'rawtext':
+                    if (token.kind === 'css') {
+                        return call('onStyleBlock', { content: token.content, name: token.name, position });
+                    }
+                    if (token.kind === 'script') {
+                        return token.segments.every((segment) => {
+                            const { commentType, content } = segment;
+                            return commentType ?
+                                call('onScriptComment', { commentType, content, position: segment.position }) :
+                                call('onText', { content, position: segment.position });
+                        });
+                    }
+                    return token.content.length > 0 ? call('onText', { content: token.content, position }) : true;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Splits HTML into tokens, following the same lexical rules as parse(): attribute quoting,
+     * special tags, raw text elements and self-closing foreign content. This is the tokenizer
+     * parse() itself builds its tree from, so it suits syntax highlighters, linters and custom
+     * tree builders. Each token has a `type` and a `position`:
+     * - `startTag`: `name`, `attributes`, `selfClosing` (a trailing "/" was written), `namespace`, `raw`
+     * - `endTag`: `name`, `raw`
+     * - `text`, `comment`, `cdata`: `content`
+     * - `doctype`: `name`, `publicId`, `systemId`, `raw`
+     * - `processingInstruction`: `target`, `content`, `raw`
+     * - `rawtext`: The content of a raw text element or special tag: `name` of the element,
+     *   `content`, and a `kind` of 'css' (style), 'script' (special tags, with text and comment
+     *   `segments`) or 'text' (other raw text elements, and styles containing a template region)
+     * - `template`: `content` of a template-language region and its `delimiters`
+     * - `diagnostic`: `code`, `severity` and `message` of malformed markup, with the same codes as
+     *   parse() diagnostics
+     *
+     * @param {string} html - HTML string to tokenize
+     * @param {Object} [options={}] - Parse options; only `selfClosingTags`, `templateDelimiters`,
+     *        `xml` and the input and attribute `limits` affect tokens
+     * @returns {import('./tokenizer.js').Token[]} The tokens, in source order
+     *
+     * @example
+     * for (const token of parser.tokenize('<p class="a">Hi</p>')) {
+     *     console.log(token.type, token.position.start.offset);
+     * }
+     */
+    tokenize(html, options = {}) {
+        const tokens = [];
+        this.#tokenizeSource(html, options, (token) => {
+            tokens.push(token);
+        });
+        return tokens;
+    }
+
+    /**
+     * Runs a tokenizer over a whole string without building a tree. Open elements are tracked just
+     * enough to know each new element's namespace, which decides whether a trailing "/" closes it
+     * and whether it holds raw text.
+     * @param {string} html - HTML string to tokenize
+     * @param {Object} options - Parse options; merged over the options given to the constructor
+     * @param {function(Token, Tokenizer): (boolean|void)} onToken - Called with each token and the
+     *        tokenizer; return false to stop
+     * @returns {boolean} False if onToken stopped tokenizing, true otherwise
+     * @private
+     */
+    #tokenizeSource(html, options, onToken) {
+        const {
+            limits, selfClosingTags, templateDelimiters, xml
+        } = this.#mergeOptions(options);
+
+        // Open elements, in the shape #getNamespace expects; in XML each also keeps the namespace
+        // prefixes in scope. Counting them by name means an end tag with no open element to close
+        // is never searched for
+        const openElements = [];
+        const openCounts = new Map();
+        const getBindings = () => {
+            return openElements[openElements.length - 1]?.bindings ?? XML_NAMESPACES;
+        };
+
+        const tokenizer = new Tokenizer({
+            getNamespace: (tagName, attributes) => {
+                if (xml) {
+                    return this.#getXmlNamespace(this.#bindNamespaces(getBindings(), attributes), tagName);
                 }
+                return this.#getNamespace(openElements[openElements.length - 1] ?? null, tagName);
+            },
+            limits,
+            selfClosingTags,
+            specialTags: this.#specialTags,
+            templateDelimiters,
+            xml
+        });
+
+        // Names are compared case-insensitively, except in XML
+        const nameKey = (name) => { return xml ? name : name.toLowerCase(); };
 
-                const commentContent = html.substring(pos + 4, commentEnd);
-                const commentNode = new Node('comment', '', {}, currentNode);
-                commentNode.content = commentContent;
-                commentNode.commentType = 'html-comment';
-                currentNode.appendChild(commentNode);
+        const popOpen = () => {
+            const key = nameKey(openElements.pop().name);
+            openCounts.set(key, openCounts.get(key) - 1);
+        };
 
-                pos = commentEnd + 3;
-                continue;
+        const track = (token) => {
+            if (token.type === 'startTag' && !tokenizer.closesItself(token) &&
+                (xml || !VOID_ELEMS.includes(token.name.toLowerCase()))) {
+                const key = nameKey(token.name);
+                openCounts.set(key, (openCounts.get(key) ?? 0) + 1);
+                openElements.push({
+                    bindings: xml ? this.#bindNamespaces(getBindings(), token.attributes) : null,
+                    name: token.name,
+                    namespace: token.namespace,
+                    type: 'tag-open'
+                });
+            } else if (token.type === 'endTag' && openCounts.get(nameKey(token.name)) > 0) {
+                const tagKey = nameKey(token.name);
+                const index = openElements.findLastIndex((open) => {
+                    return nameKey(open.name) === tagKey;
+                });
+                while (openElements.length > index) {
+                    popOpen();
+                }
+            } else if (token.type === 'diagnostic' && token.code === 'unclosed-raw-text') {
+                // An unclosed raw text element ran to the end of the input
+                popOpen();
             }
 
-            // Check for non-tags
-            if (html[pos] === '<' && (
-                html[pos + 1] === '<' ||
-                html[pos + 1] === ' ' ||
-                (html[pos + 1] !== '/' && html[pos + 1] !== '!' &&
-                !REGEX.validTagName.test(html[pos + 1]))
-            )) {
-                const nextTagPos = html.indexOf('<', pos + 1);
-                const textEnd = nextTagPos === -1 ? html.length : nextTagPos;
+            return onToken(token, tokenizer);
+        };
 
-                const textNode = new Node('text');
-                textNode.content = html.substring(pos, textEnd);
-                currentNode.appendChild(textNode);
+        return tokenizer.write(html, track) && tokenizer.end(track);
+    }
+
+    /**
+     * Adds a token to the tree being built.
+     * @param {Object} state - The parse state
+     * @param {import('./tokenizer.js').Token} token - The next token from the tokenizer
+     * @private
+     */
+    #addToken(state, token) {
+        const {
+            impliedEndTags, lossless, open, templateContent
+        } = state;
+        let currentNode = open.current;
+
+        switch (token.type) {
+            case 'comment': {
+                const commentNode = new Node('comment');
+                commentNode.content = token.content;
+                commentNode.commentType = token.commentType;
+                commentNode.position = token.position;
+                this.#appendNode(state, currentNode, commentNode);
+                break;
+            }
 
-                pos = textEnd;
-                continue;
+            case 'doctype': {
+                const doctypeNode = new Node('doctype', token.name);
+                doctypeNode.publicId = token.publicId;
+                doctypeNode.systemId = token.systemId;
+                doctypeNode.position = token.position;
+                // Always keep the original spelling (e.g. <!doctype html>) until the doctype changes
+                doctypeNode.raw = token.raw;
+                this.#appendNode(state, currentNode, doctypeNode);
+                break;
             }
 
-            // Opening tag
-            if (html[pos] === '<' && html[pos + 1] !== '/') {
-                const tagEnd = html.indexOf('>', pos);
-                if (tagEnd === -1) {
-                    pos += 1;
-                    continue;
+            case 'cdata': {
+                const cdataNode = new Node('cdata');
+                cdataNode.content = token.content;
+                cdataNode.position = token.position;
+                this.#appendNode(state, currentNode, cdataNode);
+                break;
+            }
+
+            case 'processingInstruction': {
+                if (state.xml && token.target.toLowerCase() === 'xml' && token.position.start.offset !== 0) {
+                    this.#report(
+                        state,
+                        'error',
+                        'misplaced-xml-declaration',
+                        'The XML declaration must be at the very start of the document',
+                        token.position
+                    );
                 }
 
-                const tagContent = html.substring(pos + 1, tagEnd);
-                const parts = tagContent.split(REGEX.whitespace);
-                const tagName = parts[0];
-
-                // Parse attributes
-                const attributes = {};
-                const attrPattern = REGEX.attributePattern;
-                let match;
-
-                const attrStr = tagContent.substring(tagName.length);
-                let attrLength = 0;
-                while ((match = attrPattern.exec(attrStr)) !== null) {
-                    attrLength += 1;
-                    const name = match[1];
-                    const value = match[2] || match[3] || match[4] || '__EMPVAL__';
-                    attributes[name] = value;
+                const piNode = new Node('processing-instruction');
+                piNode.target = token.target;
+                piNode.content = token.content;
+                piNode.position = token.position;
+                if (lossless) {
+                    piNode.raw = token.raw;
                 }
+                this.#appendNode(state, currentNode, piNode);
+                break;
+            }
 
-                const node = new Node('tag-open', tagName, attributes, currentNode);
-                currentNode.appendChild(node);
+            case 'text': {
+                if (this.#isOutsideXmlRoot(state, currentNode) && token.content.trim() !== '') {
+                    this.#report(
+                        state,
+                        'error',
+                        'content-outside-root',
+                        'Text must be inside the root element',
+                        token.position
+                    );
+                }
 
-                // Handle style tags
-                if (tagName === 'style') {
-                    // Find closing </style>
-                    const closeTag = `</${tagName}>`;
-                    const closeTagPos = html.indexOf(closeTag, pos);
+                const textNode = new Node('text');
+                textNode.content = token.content;
+                textNode.position = token.position;
+                this.#appendNode(state, currentNode, textNode);
+                break;
+            }
 
-                    if (closeTagPos !== -1) {
-                        // Mark this node as a style block
-                        node.styleBlock = true;
+            case 'template': {
+                const templateNode = new Node('template');
+                templateNode.content = token.content;
+                templateNode.delimiters = token.delimiters;
+                templateNode.position = token.position;
+                this.#appendNode(state, currentNode, templateNode);
+                break;
+            }
 
-                        // Extract CSS content within the style tags
-                        const cssContent = html.substring(tagEnd + 1, closeTagPos);
+            case 'startTag': {
+                const { name, namespace } = token;
 
-                        // Parse CSS content
-                        const cssParser = new CSSParser();
-                        const cssTree = cssParser.parse(cssContent);
+                // Close any open elements whose end tag this start tag implies
+                if (impliedEndTags && namespace === 'html') {
+                    this.#closeImpliedElements(open, name, (closed) => {
+                        this.#reportUnclosed(state, closed, `<${name}>`);
+                    });
+                    currentNode = open.current;
+                }
 
-                        // Append CSS tree as children
-                        node.children = cssTree.children;
+                if (this.#isOutsideXmlRoot(state, currentNode) &&
+                    state.root.children.some((child) => { return child.type === 'tag-open'; })) {
+                    this.#report(
+                        state,
+                        'error',
+                        'content-outside-root',
+                        `<${name}> is a second root element; a document has exactly one`,
+                        token.position
+                    );
+                }
 
-                        // Update pos to continue after </style>
-                        pos = closeTagPos + closeTag.length;
+                const node = new Node('tag-open', name, token.attributes);
+                node.namespace = namespace;
+                node.position = token.position;
 
-                        // Create and add the closing tag node
-                        const closeNode = new Node('tag-close', tagName, {}, currentNode);
-                        closeNode.styleBlock = true;
+                // A trailing "/" closes the element in foreign content, or anywhere when enabled
+                const isVoid = !state.xml && VOID_ELEMS.includes(name.toLowerCase());
+                node.selfClosing = state.tokenizer.closesItself(token);
 
-                        // Add the closing tag at the same level as the opening tag
-                        currentNode.appendChild(closeNode);
-                        continue;
-                    }
+                if (lossless) {
+                    node.raw = token.raw;
+                }
+                this.#appendNode(state, currentNode, node);
+                if (state.xml) {
+                    this.#addXmlNamespaces(state, node);
                 }
 
-                // Handle special tags (script, custom tags)
-                if (this.#specialTags.includes(tagName) && attrLength === 0) {
-                    // Mark this node as a script block
-                    node.scriptBlock = true;
-                    const closeTag = `</${tagName}>`;
-                    const closeTagPos = html.indexOf(closeTag, tagEnd);
-
-                    if (closeTagPos !== -1) {
-                        // Process content as a mix of comments and text
-
-                        // Extract script content within the script tags
-                        const scriptContent = html.substring(tagEnd + 1, closeTagPos);
-
-                        // Parse JS comments with proper context awareness
-                        const position = 0;
-                        let inString = false;
-                        let stringChar = '';
-                        let inRegex = false;
-                        let inComment = false;
-                        let commentType = '';
-                        let commentStart = -1;
-                        let textStart = position;
-
-                        for (let i = 0; i < scriptContent.length; i++) {
-                            const char = scriptContent[i];
-                            const nextChar = i < scriptContent.length - 1 ? scriptContent[i + 1] : '';
-                            const prevChar = i > 0 ? scriptContent[i - 1] : '';
-
-                            // Handle escape sequences
-                            if (prevChar === '\\') {
-                                continue;
-                            }
-
-                            // String handling
-                            if (!inComment && !inRegex && (char === '"' || char === "'" || char === '`')) {
-                                if (!inString) {
-                                    inString = true;
-                                    stringChar = char;
-                                } else if (char === stringChar) {
-                                    inString = false;
-                                }
-                                continue;
-                            }
-
-                            // Regex handling (simplified - real JS parsers do more)
-                            if (!inComment && !inString && char === '/' && prevChar !== '*' &&
-                                (i === 0 || REGEX.jsRegexContext.test(scriptContent[i - 1]))) {
-                                inRegex = true;
-                                continue;
-                            }
-
-                            if (inRegex && char === '/' && prevChar !== '\\') {
-                                inRegex = false;
-                                continue;
-                            }
-
-                            // Comment handling
-                            if (!inString && !inRegex && !inComment) {
-                                if (char === '/' && nextChar === '/') {
-                                    // Found start of single line comment
-                                    if (textStart < i) {
-                                        // Add text node for content before comment
-                                        const textNode = new Node('text');
-                                        textNode.content = scriptContent.substring(textStart, i);
-                                        node.appendChild(textNode);
-                                    }
-                                    inComment = true;
-                                    commentType = 'js-single-line';
-                                    commentStart = i + 2; // Skip the //
-                                    i += 1; // Skip the next character
-                                    continue;
-                                } else if (char === '/' && nextChar === '*') {
-                                    // Found start of multi-line comment
-                                    if (textStart < i) {
-                                        // Add text node for content before comment
-                                        const textNode = new Node('text');
-                                        textNode.content = scriptContent.substring(textStart, i);
-                                        node.appendChild(textNode);
-                                    }
-                                    inComment = true;
-                                    commentType = 'js-multi-line';
-                                    commentStart = i + 2; // Skip the /*
-                                    i += 1; // Skip the next character
-                                    continue;
-                                }
-                            } else if (inComment) {
-                                if (commentType === 'js-single-line' && char === '\n') {
-                                    // End of single line comment
-                                    const commentNode = new Node('comment', '', {}, node);
-                                    commentNode.content = scriptContent.substring(commentStart, i);
-                                    commentNode.commentType = commentType;
-                                    node.appendChild(commentNode);
-
-                                    inComment = false;
-                                    textStart = i + 1; // Start new text after this line break
-                                } else if (commentType === 'js-multi-line' && char === '*' && nextChar === '/') {
-                                    // End of multi-line comment
-                                    const commentNode = new Node('comment', '', {}, node);
-                                    commentNode.content = scriptContent.substring(commentStart, i);
-                                    commentNode.commentType = commentType;
-                                    node.appendChild(commentNode);
-
-                                    inComment = false;
-                                    textStart = i + 2; // Start new text after the */
-                                    i += 1; // Skip the next character
-                                }
-                            }
-                        }
+                if (node.selfClosing || isVoid) {
+                    break;
+                }
 
-                        // Handle any remaining text or unclosed comment
-                        if (inComment) {
-                            // Unclosed comment
-                            const commentNode = new Node('comment', '', {}, node);
-                            commentNode.content = scriptContent.substring(commentStart);
-                            commentNode.commentType = commentType;
-                            node.appendChild(commentNode);
-                        } else if (textStart < scriptContent.length) {
-                            // Remaining text
-                            const textNode = new Node('text');
-                            textNode.content = scriptContent.substring(textStart);
-                            node.appendChild(textNode);
-                        }
+                // Only non-void elements take content
+                this.#openElement(state, node, token.position);
 
-                        // Create and add the closing tag node
-                        const closeNode = new Node('tag-close', tagName, {}, currentNode);
-                        closeNode.scriptBlock = true;
+                // Template contents go into a separate fragment, kept out of the main tree
+                if (templateContent && namespace === 'html' && name.toLowerCase() === 'template') {
+                    const fragment = new Node('fragment');
+                    fragment.host = node;
+                    fragment.parser = this;
+                    fragment.templateDelimiters = state.root.templateDelimiters;
+                    fragment.parseOptions = state.root.parseOptions;
+                    node.content = fragment;
+                    this.#openElement(state, fragment, token.position);
+                }
+                break;
+            }
 
-                        // Add the closing tag at the same level as the opening tag
-                        currentNode.appendChild(closeNode);
+            case 'rawtext': {
+                // The content of the raw text element (or special tag) that was just opened
+                const node = currentNode;
 
-                        // Update pos to continue after </tag> (</script>, </jhp>, etc.)
-                        pos = closeTagPos + closeTag.length;
-                        continue;
+                if (token.kind === 'css') {
+                    // Mark this node as a style block and append the parsed CSS tree as children
+                    node.styleBlock = true;
+                    const cssParser = new CSSParser();
+                    const cssTree = cssParser.parse(token.content, token.position.start);
+                    this.#countNodes(state, cssTree.children.length, token.position);
+                    node.children = cssTree.children;
+                    if (lossless) {
+                        node.rawContent = token.content;
                     }
+                } else if (token.kind === 'script') {
+                    // Mark this node as a script block and add its text and comment segments
+                    node.scriptBlock = true;
+                    for (const segment of token.segments) {
+                        const child = new Node(segment.type);
+                        child.content = segment.content;
+                        if (segment.commentType) {
+                            child.commentType = segment.commentType;
+                        }
+                        child.position = segment.position;
+                        this.#appendNode(state, node, child);
+                    }
+                } else if (token.content.length > 0) {
+                    const textNode = new Node('text');
+                    textNode.content = token.content;
+                    textNode.position = token.position;
+                    this.#appendNode(state, node, textNode);
                 }
+                break;
+            }
 
-                // Only change currentNode for non-void elements
-                if (!VOID_ELEMS.includes(tagName)) {
-                    currentNode = node;
+            case 'endTag': {
+                const closeNode = new Node('tag-close', token.name);
+                closeNode.position = token.position;
+                if (lossless) {
+                    closeNode.raw = token.raw;
                 }
-                pos = tagEnd + 1;
-                continue;
-            }
 
-            // Closing tag
-            if (html[pos] === '<' && html[pos + 1] === '/') {
-                const tagEnd = html.indexOf('>', pos);
-                if (tagEnd === -1) {
-                    pos += 1;
-                    continue;
+                // An XML end tag must close the element opened last, by its exact name
+                if (state.xml && (currentNode.type !== 'tag-open' || currentNode.name !== token.name)) {
+                    const open = currentNode.type === 'tag-open' ? `; <${currentNode.name}> is still open` : '';
+                    this.#report(
+                        state,
+                        'error',
+                        'unmatched-closing-tag',
+                        `</${token.name}> does not match an open element${open}`,
+                        token.position
+                    );
                 }
 
-                const tagName = html.substring(pos + 2, tagEnd);
+                // Find the matching open element; names match regardless of case. Template contents
+                // can only be left through the template's own closing tag
+                const tagKey = token.name.toLowerCase();
+                const match = open.find([tagKey], [], tagKey === 'template');
 
-                // Create closing tag node
-                const closeNode = new Node('tag-close', tagName);
+                // If no matching opening tag found, just add to current node
+                if (!match) {
+                    this.#report(
+                        state,
+                        'error',
+                        'unmatched-closing-tag',
+                        `</${token.name}> has no matching open element`,
+                        token.position
+                    );
+                    this.#appendNode(state, currentNode, closeNode);
+                    break;
+                }
 
-                // Find the matching opening tag in the parent chain
-                let parent = currentNode;
-                let foundMatch = false;
+                if (match.styleBlock) {
+                    closeNode.styleBlock = true;
+                }
+                if (match.scriptBlock) {
+                    closeNode.scriptBlock = true;
+                }
 
-                while (parent && parent.type !== 'root') {
-                    if (parent.type === 'tag-open' && parent.name === tagName) {
-                        // Add closing tag as a sibling to the matching opening tag
-                        // (i.e., as a child of the opening tag's parent)
-                        parent.parent.appendChild(closeNode);
+                // Add closing tag as a sibling to the matching opening tag
+                // (i.e., as a child of the opening tag's parent)
+                this.#appendNode(state, match.parent, closeNode);
 
-                        // Move current node up to the parent
-                        currentNode = parent.parent;
-                        foundMatch = true;
-                        break;
+                // Anything still open between here and the match was never closed
+                open.popThrough(match, (closed) => {
+                    if (closed !== match) {
+                        this.#reportUnclosed(state, closed, `</${token.name}>`);
                     }
-                    // eslint-disable-next-line prefer-destructuring
-                    parent = parent.parent;
+                });
+                break;
+            }
+
+            case 'diagnostic':
+                this.#report(state, token.severity, token.code, token.message, token.position);
+
+                // An unclosed raw text element ran to the end of the input and is done with
+                if (token.code === 'unclosed-raw-text') {
+                    open.pop();
                 }
+                break;
+        }
 
-                // If no matching opening tag found, just add to current node
-                if (!foundMatch) {
-                    currentNode.appendChild(closeNode);
+        state.currentNode = open.current;
+    }
+
+    /**
+     * Adds a node built from a token to the tree, counting it against the `maxNodes` limit.
+     * @param {Object} state - The parse state
+     * @param {Node} parent - The node to add it to
+     * @param {Node} node - The new node
+     * @private
+     */
+    #appendNode(state, parent, node) {
+        this.#countNodes(state, 1, node.position);
+        parent.appendChild(node);
+    }
+
+    /**
+     * Counts nodes about to be added to the tree against the `maxNodes` limit.
+     * @param {Object} state - The parse state
+     * @param {number} count - Number of nodes
+     * @param {import('./source-locator.js').SourcePosition} position - Where they are in the input
+     * @throws {ParseLimitError} If the tree would hold more nodes than the limit allows
+     * @private
+     */
+    #countNodes(state, count, position) {
+        const { maxNodes } = state.limits;
+        state.nodeCount += count;
+        if (state.nodeCount > maxNodes) {
+            const message = `Document has more than the maxNodes limit of ${maxNodes} nodes`;
+            throw new ParseLimitError(message, 'maxNodes', maxNodes, position);
+        }
+    }
+
+    /**
+     * Creates the state of a parse in progress, which parse() and parser streams feed input into.
+     * @param {Object} options - Parse options; merged over the options given to the constructor
+     * @param {Object} [target={}] - What the tree is built for
+     * @param {boolean} [target.fragment=false] - Whether to build the tree under a 'fragment' node
+     *        instead of a root node
+     * @param {Node|null} [target.context=null] - Element a fragment is parsed as the content of
+     * @returns {Object} The parse state
+     * @private
+     */
+    #createParseState(options, { context = null, fragment = false } = {}) {
+        const parseOptions = this.#mergeOptions(options);
+        const {
+            diagnostics = false, impliedEndTags, limits, lossless, selfClosingTags, templateContent, templateDelimiters,
+            xml
+        } = parseOptions;
+
+        const root = new Node(fragment ? 'fragment' : 'root');
+        root.parser = this; // Store parser reference for insertAdjacentHTML
+        root.parseOptions = parseOptions;
+        root.templateDelimiters = templateDelimiters;
+        root.xml = xml;
+        if (diagnostics) {
+            root.diagnostics = { errors: [], warnings: [] };
+        }
+
+        // XML has no implied end tags, and <template> is an ordinary element there
+        const state = {
+            currentNode: root,
+            diagnostics,
+            fragment,
+            impliedEndTags: impliedEndTags && !xml,
+            limits,
+            lossless,
+            namespaces: new Map(),
+            nodeCount: 0,
+            open: new OpenElements(root),
+            root,
+            rootNamespaces: xml ? this.#getInScopeNamespaces(context) : null,
+            templateContent: templateContent && !xml,
+            tokenizer: null,
+            xml
+        };
+
+        // The namespace of a new element, and with it whether its content is raw text, depends on
+        // where in the tree it is opened; the top of a fragment is inside its context element
+        state.tokenizer = new Tokenizer({
+            context: context ? { name: context.name, namespace: context.namespace } : undefined,
+            getNamespace: (tagName, attributes) => {
+                if (xml) {
+                    const bindings = state.namespaces.get(state.currentNode) ?? state.rootNamespaces;
+                    return this.#getXmlNamespace(this.#bindNamespaces(bindings, attributes), tagName);
                 }
+                return this.#getNamespace(state.currentNode === root ? context : state.currentNode, tagName);
+            },
+            limits,
+            selfClosingTags,
+            specialTags: this.#specialTags,
+            templateDelimiters,
+            xml
+        });
+
+        return state;
+    }
+
+    /**
+     * Completes a parse once all input has been consumed: reports elements left open and records
+     * the root node's position.
+     * @param {Object} state - The parse state
+     * @returns {Node} Root node of the parsed tree
+     * @private
+     */
+    #finishParse(state) {
+        const { root, tokenizer } = state;
 
-                pos = tagEnd + 1;
-                continue;
+        // Anything still open at the end of the input was never closed
+        for (let open = state.currentNode; open !== root; open = this.#getOpenParent(open)) {
+            this.#reportUnclosed(state, open, 'the end of the input');
+        }
+
+        root.position = tokenizer.span(0, tokenizer.length);
+        const hasElement = root.children.some((child) => { return child.type === 'tag-open'; });
+        if (this.#isOutsideXmlRoot(state, root) && !hasElement) {
+            this.#report(state, 'error', 'missing-root-element', 'Document has no root element', root.position);
+        }
+        return root;
+    }
+
+    /**
+     * Steps up the tree of open elements; template contents lead back to their template.
+     * @param {Node} node - An open element (or template fragment)
+     * @returns {Node|null} The element it was opened in
+     * @private
+     */
+    #getOpenParent(node) {
+        return node.type === 'fragment' ? node.host : node.parent;
+    }
+
+    /**
+     * Checks whether content added to a node would be outside the root element of an XML document,
+     * where only comments, processing instructions, a doctype and whitespace may be.
+     * @param {Object} state - The parse state
+     * @param {Node} node - The node content is being added to
+     * @returns {boolean} True when parsing an XML document and the node is its root node
+     * @private
+     */
+    #isOutsideXmlRoot(state, node) {
+        return state.xml && !state.fragment && node === state.root;
+    }
+
+    /**
+     * Merges parse options over the options given to the constructor; limits are merged one by one.
+     * Options and limits left undefined keep the value given to the constructor.
+     * @param {Object} options - Parse options for a single call
+     * @returns {Object} The options to parse with
+     * @private
+     */
+    #mergeOptions(options) {
+        const defined = (values = {}) => {
+            return Object.fromEntries(Object.entries(values).filter(([, value]) => { return value !== undefined; }));
+        };
+        return {
+            ...this.#options,
+            ...defined(options),
+            limits: { ...this.#options.limits, ...defined(options.limits) }
+        };
+    }
+
+    /**
+     * Makes an element (or a template's content fragment) the node new content goes into,
+     * checking the `maxDepth` limit.
+     * @param {Object} state - The parse state
+     * @param {Node} node - The element just opened, or the fragment of a template just opened
+     * @param {import('./source-locator.js').SourcePosition} position - Where its start tag is
+     * @throws {ParseLimitError} If it is nested deeper than the limit allows
+     * @private
+     */
+    #openElement(state, node, position) {
+        const { maxDepth } = state.limits;
+        if (state.open.depth >= maxDepth) {
+            const message = `Elements are nested deeper than the maxDepth limit of ${maxDepth}`;
+            throw new ParseLimitError(message, 'maxDepth', maxDepth, position);
+        }
+        state.open.push(node);
+    }
+
+    /**
+     * Records a diagnostic when diagnostics are enabled; a no-op otherwise. In XML mode errors are
+     * thrown instead, as malformed XML is never repaired.
+     * @param {Object} state - The parse state
+     * @param {'error'|'warning'} severity - Severity of the problem
+     * @param {string} code - Diagnostic code
+     * @param {string} message - Human readable description
+     * @param {import('./source-locator.js').SourcePosition} position - Where the problem is
+     * @throws {ParseError} For errors in XML mode
+     * @private
+     */
+    #report(state, severity, code, message, position) {
+        if (state.xml && severity === 'error') {
+            throw new ParseError(message, code, position);
+        }
+        if (!state.diagnostics) {
+            return;
+        }
+
+        const { diagnostics } = state.root;
+        const list = severity === 'error' ? diagnostics.errors : diagnostics.warnings;
+        list.push({ code, severity, message, position });
+    }
+
+    /**
+     * Reports an element that was never explicitly closed.
+     * @param {Object} state - The parse state
+     * @param {Node} node - The unclosed element
+     * @param {string} reason - What ended the element, e.g. "</div>" or "the end of the input"
+     * @private
+     */
+    #reportUnclosed(state, node, reason) {
+        // Every element must be closed in XML
+        if (state.xml && node.type === 'tag-open') {
+            const message = `<${node.name}> was not closed before ${reason}`;
+            this.#report(state, 'error', 'unclosed-element', message, node.position);
+            return;
+        }
+
+        const name = node.name.toLowerCase();
+        if (!state.diagnostics || node.type !== 'tag-open' || VOID_ELEMS.includes(name)) {
+            return;
+        }
+
+        if (state.impliedEndTags && IMPLIED_END.optionalEnd.includes(name)) {
+            return;
+        }
+
+        this.#report(
+            state,
+            'warning',
+            'unclosed-element',
+            `<${node.name}> was not closed before ${reason}`,
+            node.position
+        );
+    }
+
+    /**
+     * Closes the open elements whose end tag is implied by a start tag, following the HTML spec's
+     * tree construction rules: a new <li> closes the open <li>, block elements close an open <p>,
+     * table rows and cells close the previous row or cell, and so on.
+     * @param {OpenElements} open - The open elements; the implied ones are removed from it
+     * @param {string} tagName - Name of the start tag being opened
+     * @param {Function} onClose - Called with each element that gets closed
+     * @private
+     */
+    #closeImpliedElements(open, tagName, onClose) {
+        const name = tagName.toLowerCase();
+
+        // Lowercased name of the current node, as the lists below are all lowercase
+        const currentName = () => { return open.current.name.toLowerCase(); };
+
+        // Closes every element from the current node up to and including `target`
+        const closeThrough = (target) => {
+            if (target) {
+                open.popThrough(target, onClose);
             }
+        };
 
-            // Plain text content
-            const nextTagPos = html.indexOf('<', pos);
-            const textEnd = nextTagPos === -1 ? html.length : nextTagPos;
+        switch (name) {
+            case 'li':
+                closeThrough(open.find(['li'], IMPLIED_END.listItemScope));
+                break;
+            case 'dd':
+            case 'dt':
+                closeThrough(open.find(['dd', 'dt'], IMPLIED_END.listItemScope));
+                break;
+            case 'button':
+                closeThrough(open.find(['button'], IMPLIED_END.defaultScope));
+                break;
+            case 'body':
+                closeThrough(open.find(['head'], IMPLIED_END.tableScope));
+                break;
+            case 'option':
+                closeThrough(currentName() === 'option' ? open.current : null);
+                break;
+            case 'optgroup':
+                closeThrough(currentName() === 'option' ? open.current : null);
+                closeThrough(currentName() === 'optgroup' ? open.current : null);
+                break;
+            case 'rb':
+            case 'rtc':
+                closeThrough(open.find(['rb', 'rp', 'rt', 'rtc'], ['ruby']));
+                break;
+            case 'rp':
+            case 'rt':
+                closeThrough(open.find(['rb', 'rp', 'rt'], ['ruby', 'rtc']));
+                break;
+            case 'tbody':
+            case 'tfoot':
+            case 'thead':
+                closeThrough(open.find(['tbody', 'tfoot', 'thead'], IMPLIED_END.tableScope));
+                break;
+            case 'tr':
+                closeThrough(open.find(['tr'], IMPLIED_END.tableBodyScope));
+                break;
+            case 'td':
+            case 'th':
+                closeThrough(open.find(['td', 'th'], IMPLIED_END.tableRowScope));
+                break;
+        }
 
-            if (textEnd > pos) {
-                const content = html.substring(pos, textEnd);
-                const textNode = new Node('text');
-                textNode.content = content;
-                currentNode.appendChild(textNode);
+        if (IMPLIED_END.closesParagraph.includes(name)) {
+            closeThrough(open.find(['p'], IMPLIED_END.buttonScope));
+        }
+
+        // A heading directly inside another heading closes it
+        if (IMPLIED_END.headings.includes(name) && IMPLIED_END.headings.includes(currentName())) {
+            closeThrough(open.current);
+        }
+    }
+
+    /**
+     * Determines the namespace of a new element from its parent: <svg> and <math> start foreign
+     * content, which carries on down the tree until an integration point such as <foreignObject>.
+     * @param {Node|Object|null} parent - The node the element is added to; anything with the `type`,
+     *        `name` and `namespace` of an open element will do, and null stands for the document
+     * @param {string} tagName - Name of the element
+     * @returns {'html'|'svg'|'mathml'} The element's namespace
+     * @private
+     */
+    #getNamespace(parent, tagName) {
+        const parentNamespace = parent?.type === 'tag-open' ? parent.namespace : 'html';
+        if (parentNamespace !== 'html' &&
+            !INTEGRATION_POINTS[parentNamespace].includes(parent.name.toLowerCase())) {
+            return parentNamespace;
+        }
+
+        const name = tagName.toLowerCase();
+        if (name === 'svg') {
+            return 'svg';
+        }
+        if (name === 'math') {
+            return 'mathml';
+        }
+        return 'html';
+    }
+
+    /**
+     * Records the namespace prefixes in scope of a new XML element, and checks that its name and
+     * attribute names only use prefixes that are declared.
+     * @param {Object} state - The parse state
+     * @param {Node} node - The element, already attached to its parent
+     * @throws {ParseError} If a prefix is not declared
+     * @private
+     */
+    #addXmlNamespaces(state, node) {
+        const bindings = this.#bindNamespaces(
+            state.namespaces.get(node.parent) ?? state.rootNamespaces,
+            node.attributes
+        );
+        state.namespaces.set(node, bindings);
+
+        const unbound = [node.name, ...Object.keys(node.attributes)].find((name) => {
+            const prefix = this.#getPrefix(name);
+            return prefix !== '' && !Object.prototype.hasOwnProperty.call(bindings, prefix);
+        });
+        if (unbound !== undefined) {
+            this.#report(
+                state,
+                'error',
+                'unbound-namespace-prefix',
+                `The namespace prefix of "${unbound}" is not declared`,
+                node.position
+            );
+        }
+    }
+
+    /**
+     * Adds the namespace declarations (xmlns and xmlns:prefix attributes) of an XML element to the
+     * prefixes in scope of its parent.
+     * @param {Object.<string, string>} bindings - Namespace URIs of the prefixes in scope of the
+     *        parent, keyed by prefix ('' for the default namespace)
+     * @param {Object.<string, string>} attributes - The element's attributes
+     * @returns {Object.<string, string>} The prefixes in scope of the element; the parent's own
+     *          object when the element declares none
+     * @private
+     */
+    #bindNamespaces(bindings, attributes) {
+        let scope = bindings;
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name === 'xmlns' || name.startsWith('xmlns:')) {
+                if (scope === bindings) {
+                    scope = { ...bindings };
+                }
+                const uri = value === '__EMPVAL__' ? '' : decodeXmlEntities(value);
+                scope[name === 'xmlns' ? '' : name.substring(6)] = uri;
             }
+        }
+        return scope;
+    }
 
-            pos = textEnd;
+    /**
+     * Collects the namespace prefixes in scope of an existing element, for parsing XML fragments
+     * inside it.
+     * @param {Node|null} node - The element, or null for none
+     * @returns {Object.<string, string>} Namespace URIs keyed by prefix ('' for the default namespace)
+     * @private
+     */
+    #getInScopeNamespaces(node) {
+        const ancestors = [];
+        for (let current = node; current?.type === 'tag-open'; current = current.parent) {
+            ancestors.unshift(current);
         }
+        return ancestors.reduce((bindings, ancestor) => {
+            return this.#bindNamespaces(bindings, ancestor.attributes);
+        }, XML_NAMESPACES);
+    }
 
-        return root;
+    /**
+     * Gets the namespace prefix of an XML name, e.g. 'atom' for 'atom:link'.
+     * @param {string} name - Element or attribute name
+     * @returns {string} The prefix, or '' if the name has none
+     * @private
+     */
+    #getPrefix(name) {
+        const colon = name.indexOf(':');
+        return colon > 0 ? name.substring(0, colon) : '';
+    }
+
+    /**
+     * Determines the namespace of an XML element from the prefixes in scope of it.
+     * @param {Object.<string, string>} bindings - Namespace URIs keyed by prefix, including the
+     *        element's own declarations
+     * @param {string} tagName - Name of the element
+     * @returns {string|null} The namespace URI, or null if the element is in no namespace (or its
+     *          prefix is not declared)
+     * @private
+     */
+    #getXmlNamespace(bindings, tagName) {
+        const prefix = this.#getPrefix(tagName);
+        return Object.prototype.hasOwnProperty.call(bindings, prefix) ? bindings[prefix] || null : null;
     }
 
     /**
@@ -368,5 +1218,7 @@ class SimpleHtmlParser {
 
 }
 
-export { CSSParser, Node, SimpleHtmlParser };
+export {
+    CSSParser, JsLexer, Node, ParseError, ParseLimitError, SimpleHtmlParser, Tokenizer
+};
 export default SimpleHtmlParser;
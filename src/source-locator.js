@@ -0,0 +1,99 @@
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} offset - Zero-based character offset into the source
+ * @property {number} line - One-based line number
+ * @property {number} column - One-based column number
+ */
+
+/**
+ * @typedef {Object} SourcePosition
+ * @property {SourceLocation} start - Location of the first character of the node
+ * @property {SourceLocation} end - Location just past the last character of the node
+ */
+
+/**
+ * Maps character offsets in a source string to line and column numbers. Line starts are indexed
+ * once up front so each lookup is a binary search instead of a rescan of the source.
+ */
+class SourceLocator {
+
+    /**
+     * @type {number} Length of the source indexed so far
+     */
+    #length = 0;
+
+    /**
+     * @type {number[]} Offsets at which each line begins
+     */
+    #lineStarts = [0];
+
+    /**
+     * @type {SourceLocation} Location of the first character of the source
+     */
+    #origin = { offset: 0, line: 1, column: 1 };
+
+    /**
+     * Creates a new SourceLocator instance.
+     * @param {string} source - The source text to index
+     * @param {SourceLocation} [origin] - Location of the source within a larger document; used
+     *                                    when a block (such as a style tag) is parsed on its own
+     */
+    constructor(source, origin = { offset: 0, line: 1, column: 1 }) {
+        this.#origin = origin;
+        this.append(source);
+    }
+
+    /**
+     * Indexes more source text, for sources that arrive in chunks.
+     * @param {string} source - Text that follows the source indexed so far
+     */
+    append(source) {
+        let index = source.indexOf('\n');
+        while (index !== -1) {
+            this.#lineStarts.push(this.#length + index + 1);
+            index = source.indexOf('\n', index + 1);
+        }
+        this.#length += source.length;
+    }
+
+    /**
+     * Converts an offset into the source to a location.
+     * @param {number} offset - Zero-based offset into the source
+     * @returns {SourceLocation} The matching location
+     */
+    locate(offset) {
+        let low = 0;
+        let high = this.#lineStarts.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.#lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const column = offset - this.#lineStarts[low] + 1;
+
+        return {
+            offset: this.#origin.offset + offset,
+            line: this.#origin.line + low,
+            column: low === 0 ? this.#origin.column + column - 1 : column
+        };
+    }
+
+    /**
+     * Builds a position spanning two offsets in the source.
+     * @param {number} start - Offset of the first character
+     * @param {number} end - Offset just past the last character
+     * @returns {SourcePosition} The position object
+     */
+    span(start, end) {
+        return { start: this.locate(start), end: this.locate(end) };
+    }
+
+}
+
+export { SourceLocator };
+export default SourceLocator;
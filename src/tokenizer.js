@@ -0,0 +1,967 @@
+/* eslint-disable no-continue */
+import { ParseLimitError } from './errors.js';
+import { findXmlReferenceError } from './entities.js';
+import { JsLexer } from './js-lexer.js';
+import { SourceLocator } from './source-locator.js';
+
+const REGEX = {
+    attributeNameEnd: /[\s/>=]/,
+    comment: /<!--[\s\S]*?-->/g,
+    doubleQuote: /"/,
+    doctypeEntity: /<!ENTITY\s+([^\s%]+)/g,
+    doctypeIds: /^(?:PUBLIC\s*(?:"([^"]*)"|'([^']*)')\s*(?:"([^"]*)"|'([^']*)')?|SYSTEM\s*(?:"([^"]*)"|'([^']*)'))/i,
+    processingInstruction: /^(\S+)\s*([\s\S]*?)\s*$/,
+    rawTextEndBoundary: /[\s/>]/,
+    singleQuote: /'/,
+    tagNameEnd: /[\s/>]/,
+    unquotedValueEnd: /[\s>]/,
+    validTagName: /[a-zA-Z0-9_\-]/,
+    whitespace: /\s/,
+    xmlNameStart: /[a-zA-Z_:\u00C0-\uFFFF]/
+};
+
+// eslint-disable-next-line max-len
+const VOID_ELEMS = ['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'param', 'source', 'track', 'wbr'];
+
+// Elements whose content is always text (RAWTEXT and RCDATA in the HTML spec), never markup
+const RAW_TEXT_ELEMS = ['iframe', 'noembed', 'noframes', 'script', 'style', 'textarea', 'title', 'xmp'];
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - 'startTag', 'endTag', 'text', 'comment', 'doctype', 'cdata',
+ *           'processingInstruction', 'rawtext', 'template' or 'diagnostic'
+ * @property {import('./source-locator.js').SourcePosition} position - Where the token is in the input
+ * @property {string} [name] - Tag name (startTag, endTag, rawtext) or document type name (doctype)
+ * @property {Object.<string, string>} [attributes] - Attributes of a startTag; valueless
+ *           attributes are set to '__EMPVAL__'
+ * @property {boolean} [selfClosing] - Whether a startTag ends with "/>"
+ * @property {string|null} [namespace] - Namespace of a startTag's element: 'html', 'svg' or
+ *           'mathml', or in XML mode the namespace URI it is bound to (null for none)
+ * @property {string} [raw] - Source text of a startTag, endTag, doctype or processingInstruction
+ * @property {string} [content] - Text of a text, comment, cdata or rawtext token, the data of a
+ *           processingInstruction, or the code between the delimiters of a template region
+ * @property {string[]} [delimiters] - Opening and closing delimiter of a template region; the
+ *           closing one is '' when the region runs to the end of the input
+ * @property {string} [commentType] - 'html-comment', or for comments in script segments
+ *           'js-single-line', 'js-multi-line', 'js-hashbang', 'js-html-open' or 'js-html-close'
+ * @property {string|null} [publicId] - Public identifier of a doctype
+ * @property {string|null} [systemId] - System identifier of a doctype
+ * @property {string} [target] - Target of a processingInstruction
+ * @property {'css'|'script'|'text'} [kind] - How a rawtext token's content is meant to be read
+ * @property {Token[]} [segments] - Text and comment segments of a rawtext token of kind 'script'
+ * @property {string} [code] - Code of a diagnostic, e.g. 'unclosed-comment'
+ * @property {'error'|'warning'} [severity] - Severity of a diagnostic
+ * @property {string} [message] - Description of a diagnostic
+ */
+
+/**
+ * Splits HTML into tokens: tags with their attributes, text, comments, declarations and the raw
+ * content of elements such as style and script. Input can be written in chunks; a token is only
+ * produced once all of its source has arrived.
+ */
+class Tokenizer {
+
+    /**
+     * @type {number} Offset of the buffer's first character in the whole input
+     */
+    #base = 0;
+
+    /**
+     * @type {string} Input received but not tokenized yet
+     */
+    #buffer = '';
+
+    /**
+     * @type {{name: string, kind: string}|null} Raw text element the whole input is the content
+     * of, when tokenizing a fragment for one
+     */
+    #context = null;
+
+    /**
+     * @type {Set<string>} Names of the general entities declared in the internal subset of an XML
+     * doctype; references to them are left as written
+     */
+    #entities = new Set();
+
+    /**
+     * @type {Function} Returns the namespace of an element about to be opened
+     */
+    #getNamespace = () => { return 'html'; };
+
+    /**
+     * @type {JsLexer} Finds the comments in the content of special tags
+     */
+    #jsLexer = new JsLexer();
+
+    /**
+     * @type {number} Length of the input received so far
+     */
+    #length = 0;
+
+    /**
+     * @type {{maxAttributeLength: number, maxAttributes: number, maxInputLength: number}} Limits on
+     * the input; exceeding one throws a ParseLimitError
+     */
+    #limits = { maxAttributeLength: Infinity, maxAttributes: Infinity, maxInputLength: Infinity };
+
+    /**
+     * @type {SourceLocator} Maps offsets in the input to lines and columns
+     */
+    #locator = new SourceLocator('');
+
+    /**
+     * @type {number} Buffer length at which waiting input is tokenized again
+     */
+    #retryLength = 0;
+
+    /**
+     * @type {boolean} Whether a trailing "/" closes any element, not just foreign ones
+     */
+    #selfClosingTags = false;
+
+    /**
+     * @type {string[]} Tags whose content is split into text and JS comments
+     */
+    #specialTags = [];
+
+    /**
+     * @type {Array<string[]>} Opening and closing delimiters of template-language regions, longest
+     * opening delimiter first
+     */
+    #templateDelimiters = [];
+
+    /**
+     * @type {boolean} Whether the input is XML: names keep their case, any element may close itself
+     * and no element holds raw text
+     */
+    #xml = false;
+
+    /**
+     * Creates a new tokenizer.
+     * @param {Object} [options={}] - Tokenizer options
+     * @param {string[]} [options.specialTags=[]] - Tags whose content is raw text, split into text
+     *        and JS comment segments
+     * @param {boolean} [options.selfClosingTags=false] - Whether a trailing "/" closes any element,
+     *        so that its content is not read as raw text
+     * @param {Function} [options.getNamespace] - Called with a start tag's name and attributes,
+     *        returns the namespace ('html', 'svg' or 'mathml') of the element it opens; tree builders
+     *        track this since it decides which elements hold raw text. Defaults to 'html' for every
+     *        element
+     * @param {Array<string[]>} [options.templateDelimiters=[]] - Opening and closing delimiters of
+     *        template-language regions, e.g. `[['{{', '}}'], ['<%', '%>']]`. Regions are read as
+     *        opaque 'template' tokens, and inside tags they are skipped over as part of a name or value
+     * @param {{name: string, namespace: string}} [options.context] - Element the input is the
+     *        content of, for fragments. When it holds raw text (e.g. script, textarea or a special
+     *        tag) the whole input becomes a single 'rawtext' token once end() is called
+     * @param {boolean} [options.xml=false] - Whether to tokenize XML: every element may close itself,
+     *        none holds raw text, and problems HTML allows (such as attributes without a quoted value)
+     *        are reported as diagnostics
+     * @param {Object} [options.limits={}] - Limits that throw a ParseLimitError when exceeded:
+     *        `maxInputLength` (characters written in total), `maxAttributes` (per tag) and
+     *        `maxAttributeLength` (characters in an attribute name or value). Unlimited by default
+     */
+    constructor(options = {}) {
+        const {
+            context, getNamespace, limits = {}, selfClosingTags = false, specialTags = [], templateDelimiters = [],
+            xml = false
+        } = options;
+        if (getNamespace) {
+            this.#getNamespace = getNamespace;
+        }
+        this.#limits = { ...this.#limits, ...limits };
+        this.#selfClosingTags = selfClosingTags;
+        this.#specialTags = specialTags;
+        this.#templateDelimiters = [...templateDelimiters].sort((a, b) => { return b[0].length - a[0].length; });
+        this.#xml = xml;
+
+        const contextKind = context ? this.#getRawTextKind(context.name, context.namespace) : null;
+        if (contextKind) {
+            this.#context = { name: context.name, kind: contextKind };
+        }
+    }
+
+    /**
+     * Gets the length of the input received so far.
+     * @returns {number} Number of characters written
+     */
+    get length() {
+        return this.#length;
+    }
+
+    /**
+     * Checks whether a start tag closes its own element, leaving it without content or a closing
+     * tag: a trailing "/" does so in foreign content (SVG and MathML), or anywhere when the
+     * `selfClosingTags` option is set or the input is XML. Void elements never need it.
+     * @param {Token} token - A startTag token
+     * @returns {boolean} True if the element is closed by its start tag
+     */
+    closesItself(token) {
+        if (this.#xml) {
+            return token.selfClosing;
+        }
+        if (!token.selfClosing || VOID_ELEMS.includes(token.name.toLowerCase())) {
+            return false;
+        }
+        return token.namespace !== 'html' || this.#selfClosingTags;
+    }
+
+    /**
+     * Tokenizes the rest of the input, recovering from anything left unterminated.
+     * @param {function(Token): (boolean|void)} onToken - Called with each token; return false to stop
+     * @returns {boolean} False if onToken stopped tokenizing, true otherwise
+     */
+    end(onToken) {
+        return this.#tokenize(true, onToken);
+    }
+
+    /**
+     * Builds a position spanning two offsets in the whole input.
+     * @param {number} start - Offset of the first character
+     * @param {number} end - Offset just past the last character
+     * @returns {import('./source-locator.js').SourcePosition} The position object
+     */
+    span(start, end) {
+        return this.#locator.span(start, end);
+    }
+
+    /**
+     * Adds a chunk of input and emits every token it completes. Constructs that may still be
+     * completed by later input are held back until then.
+     * @param {string} chunk - The next chunk of input
+     * @param {function(Token): (boolean|void)} onToken - Called with each token; return false to stop
+     * @returns {boolean} False if onToken stopped tokenizing, true otherwise
+     * @throws {ParseLimitError} If the input grows longer than the `maxInputLength` limit
+     */
+    write(chunk, onToken) {
+        const { maxInputLength } = this.#limits;
+        if (this.#length + chunk.length > maxInputLength) {
+            const message = `Input is longer than the maxInputLength limit of ${maxInputLength} characters`;
+            throw new ParseLimitError(message, 'maxInputLength', maxInputLength);
+        }
+
+        this.#buffer += chunk;
+        this.#length += chunk.length;
+        this.#locator.append(chunk);
+
+        // Waiting input is only rescanned once it has doubled, so tokenizing stays linear
+        if (this.#buffer.length < this.#retryLength) {
+            return true;
+        }
+        return this.#tokenize(false, onToken);
+    }
+
+    /**
+     * Creates the token for the content of a raw text element.
+     * @param {string} html - The buffer being tokenized
+     * @param {number} start - Offset of the content in the buffer
+     * @param {number} end - Offset just past the content in the buffer
+     * @param {string} name - Name of the raw text element
+     * @param {'css'|'script'|'text'} kind - How the content is read; CSS that contains a template
+     *        region is read as 'text' instead, so it is kept exactly as written
+     * @returns {Token} The 'rawtext' token
+     * @private
+     */
+    #createRawText(html, start, end, name, kind) {
+        const content = html.substring(start, end);
+        const isTemplated = kind === 'css' &&
+            this.#templateDelimiters.some(([open]) => { return content.includes(open); });
+        const token = {
+            content,
+            kind: isTemplated ? 'text' : kind,
+            name,
+            position: this.span(this.#base + start, this.#base + end),
+            type: 'rawtext'
+        };
+        if (kind === 'script') {
+            token.segments = this.#splitScriptContent(content, this.#base + start);
+        }
+        return token;
+    }
+
+    /**
+     * Finds the closing tag that ends a raw text element's content. Like browsers, the match is
+     * case-insensitive and the tag name must be followed by whitespace, "/" or ">".
+     * @param {string} html - The HTML being parsed
+     * @param {string} tagName - Name of the raw text element
+     * @param {number} from - Offset where the element's content starts
+     * @returns {{start: number, end: number}|null} Offsets of the closing tag, or null if not found
+     * @private
+     */
+    #findRawTextEnd(html, tagName, from) {
+        const name = tagName.toLowerCase();
+        let index = html.indexOf('</', from);
+
+        while (index !== -1) {
+            const nameEnd = index + 2 + name.length;
+            if (html.substring(index + 2, nameEnd).toLowerCase() === name &&
+                REGEX.rawTextEndBoundary.test(html[nameEnd] || '')) {
+                const tagEnd = html.indexOf('>', nameEnd);
+                return tagEnd === -1 ? null : { start: index, end: tagEnd + 1 };
+            }
+            index = html.indexOf('</', index + 2);
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the template region that starts at an offset, if any.
+     * @param {string} html - The HTML being parsed
+     * @param {number} start - Offset to check
+     * @returns {{open: string, close: string, end: number}|null} The region's delimiters and the
+     *          offset just past its closing delimiter (-1 if it is not closed), or null if no
+     *          region starts at the offset
+     * @private
+     */
+    #findTemplate(html, start) {
+        const pair = this.#templateDelimiters.find(([open]) => { return html.startsWith(open, start); });
+        if (!pair) {
+            return null;
+        }
+
+        const [open, close] = pair;
+        const closeStart = html.indexOf(close, start + open.length);
+        return { open, close, end: closeStart === -1 ? -1 : closeStart + close.length };
+    }
+
+    /**
+     * Determines how the content of an element is parsed when it is not HTML.
+     * @param {string} tagName - Name of the element
+     * @param {string} [namespace='html'] - Namespace of the element; in SVG and MathML only style
+     *        and script elements (and special tags) hold raw text
+     * @returns {'css'|'script'|'text'|null} 'css' for style tags, 'script' for special tags (split
+     *          into text and JS comments), 'text' for other raw text elements, or null for HTML content
+     *          (always null in XML, where every element's content is markup)
+     * @private
+     */
+    #getRawTextKind(tagName, namespace = 'html') {
+        if (this.#xml) {
+            return null;
+        }
+        const name = tagName.toLowerCase();
+        if (name === 'style') {
+            return 'css';
+        }
+        if (this.#specialTags.some((special) => { return special.toLowerCase() === name; })) {
+            return 'script';
+        }
+        if (RAW_TEXT_ELEMS.includes(name) && (namespace === 'html' || name === 'script')) {
+            return 'text';
+        }
+        return null;
+    }
+
+    /**
+     * Removes the template regions from a piece of source text, leaving the text around them.
+     * @param {string} text - Source text, e.g. an attribute value
+     * @returns {string} The text outside template regions
+     * @private
+     */
+    #removeTemplates(text) {
+        if (this.#templateDelimiters.length === 0) {
+            return text;
+        }
+
+        let result = '';
+        let pos = 0;
+        while (pos < text.length) {
+            const template = this.#findTemplate(text, pos);
+            if (template) {
+                pos = template.end === -1 ? text.length : template.end;
+            } else {
+                result += text[pos];
+                pos += 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Tokenizes a doctype declaration starting at "<!DOCTYPE", e.g.
+     * `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" "http://www.w3.org/...">`. In XML
+     * it may end with an internal subset in brackets, whose ">", quotes and comments do not end the
+     * doctype; the general entities the subset declares are recorded.
+     * @param {string} html - The HTML being parsed
+     * @param {number} start - Offset of the "<" that starts the doctype
+     * @returns {{name: string, publicId: string|null, systemId: string|null, end: number}|null} The
+     *          doctype's fields and the offset just past its ">"; null if the input ends first. The
+     *          name is lowercased, except in XML
+     * @private
+     */
+    #scanDoctype(html, start) {
+        // Find the closing ">", skipping over quoted identifiers and an XML internal subset
+        let end = start + 9;
+        let quote = '';
+        let inSubset = false;
+        let subsetStart = -1;
+        let subsetEnd = -1;
+        while (end < html.length && (quote || inSubset || html[end] !== '>')) {
+            if (quote) {
+                quote = html[end] === quote ? '' : quote;
+            } else if (html[end] === '"' || html[end] === "'") {
+                quote = html[end];
+            } else if (inSubset && html.startsWith('<!--', end)) {
+                const commentEnd = html.indexOf('-->', end + 4);
+                end = commentEnd === -1 ? html.length : commentEnd + 2;
+            } else if (this.#xml && subsetStart === -1 && html[end] === '[') {
+                inSubset = true;
+                subsetStart = end + 1;
+            } else if (inSubset && html[end] === ']') {
+                inSubset = false;
+                subsetEnd = end;
+            }
+            end += 1;
+        }
+
+        if (end >= html.length) {
+            return null;
+        }
+
+        if (subsetEnd !== -1) {
+            const subset = html.substring(subsetStart, subsetEnd).replace(REGEX.comment, '');
+            for (const [, entity] of subset.matchAll(REGEX.doctypeEntity)) {
+                this.#entities.add(entity);
+            }
+        }
+
+        const body = html.substring(start + 9, subsetStart === -1 ? end : subsetStart - 1).trim();
+        const nameEnd = body.search(REGEX.whitespace);
+        const name = nameEnd === -1 ? body : body.substring(0, nameEnd);
+        const ids = nameEnd === -1 ? null : body.substring(nameEnd).trim().match(REGEX.doctypeIds);
+
+        let publicId = null;
+        let systemId = null;
+        if (ids) {
+            publicId = ids[1] ?? ids[2] ?? null;
+            systemId = ids[3] ?? ids[4] ?? ids[5] ?? ids[6] ?? null;
+        }
+
+        return {
+            name: this.#xml ? name : name.toLowerCase(), publicId, systemId, end: end + 1
+        };
+    }
+
+    /**
+     * Tokenizes an opening or closing tag starting at a "<". Attribute values may be double quoted,
+     * single quoted or unquoted, and a ">" inside a quoted value does not end the tag. Template
+     * regions are skipped over whole, so quotes and ">" inside them do not end a name or value.
+     * @param {string} html - The HTML being parsed
+     * @param {number} start - Offset of the "<" that starts the tag
+     * @returns {{name: string, attributes: Object.<string, string>, selfClosing: boolean, tagEnd: number,
+     *          errors: Array<{code: string, message: string}>}|null} The tag's name, attributes
+     *          (valueless attributes are set to '__EMPVAL__'), whether it ends with "/>", the offset of
+     *          its closing ">", and the attributes XML does not allow; null if the input ends first
+     * @throws {ParseLimitError} If the tag exceeds the `maxAttributes` or `maxAttributeLength` limit
+     * @private
+     */
+    #scanTag(html, start) {
+        const { length } = html;
+        let pos = html[start + 1] === '/' ? start + 2 : start + 1;
+
+        // Moves past a template region starting at pos, or to the end of the input if it is not closed
+        const skipTemplate = () => {
+            const template = this.#templateDelimiters.length > 0 ? this.#findTemplate(html, pos) : null;
+            if (template) {
+                pos = template.end === -1 ? length : template.end;
+            }
+            return template !== null;
+        };
+
+        // Reads characters up to (not including) the first one matching `endPattern`
+        const readUntil = (endPattern) => {
+            const from = pos;
+            while (pos < length) {
+                if (skipTemplate()) {
+                    continue;
+                }
+                if (endPattern.test(html[pos])) {
+                    break;
+                }
+                pos += 1;
+            }
+            return html.substring(from, pos);
+        };
+
+        const skipWhitespace = () => {
+            while (pos < length && REGEX.whitespace.test(html[pos])) {
+                pos += 1;
+            }
+        };
+
+        const name = readUntil(REGEX.tagNameEnd);
+        const attributes = {};
+        const errors = [];
+        const seenNames = new Set();
+        let selfClosing = false;
+
+        // Like browsers, keeps only the first of several attributes whose names differ only in case;
+        // XML names are case-sensitive and a repeated one is malformed
+        const addAttribute = (attrName, value) => {
+            const { maxAttributeLength, maxAttributes } = this.#limits;
+            const position = () => { return this.span(this.#base + start, this.#base + pos); };
+            const valueLength = value === '__EMPVAL__' ? 0 : value.length;
+            if (Math.max(attrName.length, valueLength) > maxAttributeLength) {
+                const message = `Attribute "${attrName.slice(0, 32)}" is longer than the maxAttributeLength ` +
+                    `limit of ${maxAttributeLength} characters`;
+                throw new ParseLimitError(message, 'maxAttributeLength', maxAttributeLength, position());
+            }
+
+            const key = this.#xml ? attrName : attrName.toLowerCase();
+            if (!seenNames.has(key) && seenNames.size >= maxAttributes) {
+                const message = `<${name}> has more than the maxAttributes limit of ${maxAttributes} attributes`;
+                throw new ParseLimitError(message, 'maxAttributes', maxAttributes, position());
+            }
+            if (!seenNames.has(key)) {
+                seenNames.add(key);
+                attributes[attrName] = value;
+            } else if (this.#xml) {
+                errors.push({ code: 'duplicate-attribute', message: `Attribute "${attrName}" is repeated` });
+            }
+        };
+
+        // XML requires every attribute to have a quoted value
+        const requireQuotes = (attrName) => {
+            if (this.#xml) {
+                errors.push({ code: 'invalid-attribute', message: `Attribute "${attrName}" has no quoted value` });
+            }
+        };
+
+        // XML attribute values may not hold a "<", and only well-formed character references
+        const checkXmlValue = (attrName, value) => {
+            const text = this.#removeTemplates(value);
+            if (text.includes('<')) {
+                const message = `Attribute "${attrName}" has a "<" that must be written as "&lt;"`;
+                errors.push({ code: 'unescaped-less-than', message });
+            }
+            const error = findXmlReferenceError(text, this.#entities);
+            if (error) {
+                errors.push({ code: error.code, message: `${error.message} (attribute "${attrName}")` });
+            }
+        };
+
+        while (pos < length) {
+            skipWhitespace();
+
+            if (html[pos] === '>') {
+                return {
+                    name, attributes, errors, selfClosing, tagEnd: pos
+                };
+            }
+
+            if (html[pos] === '/') {
+                selfClosing = html[pos + 1] === '>';
+                pos += 1;
+                continue;
+            }
+            selfClosing = false;
+
+            // Attribute name; a leading "=" is part of the name, as in browsers
+            const nameStart = pos;
+            if (!skipTemplate()) {
+                pos += 1;
+            }
+            readUntil(REGEX.attributeNameEnd);
+            const attrName = html.substring(nameStart, pos);
+            skipWhitespace();
+
+            if (html[pos] !== '=') {
+                requireQuotes(attrName);
+                addAttribute(attrName, '__EMPVAL__');
+                continue;
+            }
+
+            pos += 1; // Skip =
+            skipWhitespace();
+
+            const quote = html[pos];
+            if (quote === '"' || quote === "'") {
+                pos += 1;
+                const value = readUntil(quote === '"' ? REGEX.doubleQuote : REGEX.singleQuote);
+                if (pos >= length) {
+                    return null;
+                }
+                if (this.#xml) {
+                    checkXmlValue(attrName, value);
+                }
+                addAttribute(attrName, value);
+                pos += 1;
+            } else {
+                requireQuotes(attrName);
+                addAttribute(attrName, readUntil(REGEX.unquotedValueEnd));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Splits the content of a script block into text and JS comment segments.
+     * @param {string} scriptContent - Content between the opening and closing tags
+     * @param {number} scriptStart - Offset of the content in the whole input
+     * @returns {Token[]} 'text' and 'comment' segments, in source order; the line break after a
+     *          single-line comment starts the next text segment
+     * @private
+     */
+    #splitScriptContent(scriptContent, scriptStart) {
+        const segments = [];
+        const span = (start, end) => { return this.#locator.span(scriptStart + start, scriptStart + end); };
+        let textStart = 0;
+
+        const addText = (end) => {
+            if (textStart < end) {
+                const content = scriptContent.substring(textStart, end);
+                segments.push({ content, position: span(textStart, end), type: 'text' });
+            }
+        };
+
+        for (const comment of this.#jsLexer.findComments(scriptContent)) {
+            addText(comment.start);
+            segments.push({
+                commentType: comment.type,
+                content: comment.content,
+                position: span(comment.start, comment.end),
+                type: 'comment'
+            });
+            textStart = comment.end;
+        }
+        addText(scriptContent.length);
+
+        return segments;
+    }
+
+    /**
+     * Tokenizes as much of the buffer as possible. Unless `final` is set, a construct that may still
+     * be completed by later input (an unterminated tag, comment or raw text block, or a text run)
+     * is left in the buffer instead of being recovered from.
+     * @param {boolean} final - Whether the buffer holds the rest of the input
+     * @param {function(Token): (boolean|void)} onToken - Called with each token; return false to stop
+     * @returns {boolean} False if onToken stopped tokenizing, true otherwise
+     * @private
+     */
+    #tokenize(final, onToken) {
+        const html = this.#buffer;
+        const base = this.#base;
+        let pos = 0;
+        let stopped = false;
+
+        // Locates a span of the buffer within the whole input
+        const span = (start, end) => {
+            return this.#locator.span(base + start, base + end);
+        };
+
+        // Passes a token on, unless a previous one stopped tokenizing
+        const emit = (token) => {
+            if (!stopped && onToken(token) === false) {
+                stopped = true;
+            }
+        };
+
+        // Emits a diagnostic for a span of the buffer
+        const report = (severity, code, message, start, end) => {
+            emit({ code, message, position: span(start, end), severity, type: 'diagnostic' });
+        };
+
+        // Reports the first malformed character reference in a span of XML text
+        const checkXmlReferences = (start, end) => {
+            const error = findXmlReferenceError(html.substring(start, end), this.#entities);
+            if (error) {
+                const referenceStart = start + error.offset;
+                report('error', error.code, error.message, referenceStart, referenceStart + error.length);
+            }
+        };
+
+        // Recovers from a construct the input ends inside of. Like browsers, nothing after it is read
+        // as markup; it is kept as text so the input still round-trips, and scanning stays linear
+        // since the rest is not searched again from each later "<"
+        const recoverAsText = (code, message) => {
+            report('error', code, message, pos, html.length);
+            emit({ content: html.substring(pos), position: span(pos, html.length), type: 'text' });
+            pos = html.length;
+        };
+
+        // Next offset of each template opening delimiter, only searched again once passed so that
+        // text runs are found in linear time
+        const templateOpens = this.#templateDelimiters.map(() => { return -2; });
+
+        // Finds where a text run starting at an offset ends: at the next "<" or template region
+        const findTextEnd = (from) => {
+            let end = html.indexOf('<', from);
+            this.#templateDelimiters.forEach(([open], index) => {
+                if (templateOpens[index] !== -1 && templateOpens[index] < from) {
+                    templateOpens[index] = html.indexOf(open, from);
+                }
+                if (templateOpens[index] !== -1 && (end === -1 || templateOpens[index] < end)) {
+                    end = templateOpens[index];
+                }
+            });
+            return end;
+        };
+
+        // In a raw text context the whole input is the element's content, complete only at the end
+        if (this.#context && final) {
+            emit(this.#createRawText(html, 0, html.length, this.#context.name, this.#context.kind));
+            pos = html.length;
+        }
+
+        while (!this.#context && pos < html.length && !stopped) {
+            // Template-language regions are kept whole, whatever markup they contain
+            const template = this.#templateDelimiters.length > 0 ? this.#findTemplate(html, pos) : null;
+            if (template && template.end === -1 && !final) {
+                break;
+            }
+            if (template) {
+                const closed = template.end !== -1;
+                const end = closed ? template.end : html.length;
+                if (!closed) {
+                    report(
+                        'error',
+                        'unclosed-template',
+                        `Template region is missing its closing "${template.close}"`,
+                        pos,
+                        end
+                    );
+                }
+
+                emit({
+                    content: html.substring(pos + template.open.length, closed ? end - template.close.length : end),
+                    delimiters: [template.open, closed ? template.close : ''],
+                    position: span(pos, end),
+                    type: 'template'
+                });
+                pos = end;
+                continue;
+            }
+
+            // A "<" needs enough input after it to tell what it starts (e.g. "<!DOCTYPE")
+            if (!final && html[pos] === '<' && html.length - pos < 9) {
+                break;
+            }
+
+            // Check for comments first
+            if (html[pos] === '<' && html.substring(pos, pos + 4) === '<!--') {
+                const commentEnd = html.indexOf('-->', pos);
+                if (commentEnd === -1 && !final) {
+                    break;
+                }
+                if (commentEnd === -1) {
+                    recoverAsText('unclosed-comment', 'Comment is missing its closing "-->"');
+                    continue;
+                }
+
+                emit({
+                    commentType: 'html-comment',
+                    content: html.substring(pos + 4, commentEnd),
+                    position: span(pos, commentEnd + 3),
+                    type: 'comment'
+                });
+                pos = commentEnd + 3;
+                continue;
+            }
+
+            // Doctype declarations
+            if (html[pos] === '<' && html.substring(pos, pos + 9).toUpperCase() === '<!DOCTYPE') {
+                const doctype = this.#scanDoctype(html, pos);
+                if (!doctype && !final) {
+                    break;
+                }
+                if (!doctype) {
+                    recoverAsText('unterminated-tag', 'Doctype is missing its closing ">"');
+                    continue;
+                }
+
+                emit({
+                    name: doctype.name,
+                    position: span(pos, doctype.end),
+                    publicId: doctype.publicId,
+                    raw: html.substring(pos, doctype.end),
+                    systemId: doctype.systemId,
+                    type: 'doctype'
+                });
+                pos = doctype.end;
+                continue;
+            }
+
+            // CDATA sections
+            if (html[pos] === '<' && html.substring(pos, pos + 9) === '<![CDATA[') {
+                const cdataEnd = html.indexOf(']]>', pos + 9);
+                if (cdataEnd === -1 && !final) {
+                    break;
+                }
+                if (cdataEnd === -1) {
+                    recoverAsText('unclosed-cdata', 'CDATA section is missing its closing "]]>"');
+                    continue;
+                }
+
+                emit({ content: html.substring(pos + 9, cdataEnd), position: span(pos, cdataEnd + 3), type: 'cdata' });
+                pos = cdataEnd + 3;
+                continue;
+            }
+
+            // Processing instructions (<?xml ...?>)
+            if (html[pos] === '<' && html[pos + 1] === '?' && REGEX.validTagName.test(html[pos + 2] || '')) {
+                const piEnd = html.indexOf('?>', pos + 2);
+                if (piEnd === -1 && !final) {
+                    break;
+                }
+                if (piEnd === -1) {
+                    recoverAsText('unterminated-tag', 'Processing instruction is missing its closing "?>"');
+                    continue;
+                }
+
+                const [, target, data] = html.substring(pos + 2, piEnd).match(REGEX.processingInstruction);
+                emit({
+                    content: data,
+                    position: span(pos, piEnd + 2),
+                    raw: html.substring(pos, piEnd + 2),
+                    target,
+                    type: 'processingInstruction'
+                });
+                pos = piEnd + 2;
+                continue;
+            }
+
+            // Check for non-tags; XML names may also start with ":" or non-ASCII letters
+            if (html[pos] === '<' && (
+                html[pos + 1] === '<' ||
+                html[pos + 1] === ' ' ||
+                (html[pos + 1] !== '/' && html[pos + 1] !== '!' &&
+                !(this.#xml ? REGEX.xmlNameStart : REGEX.validTagName).test(html[pos + 1]))
+            )) {
+                const nextTagPos = findTextEnd(pos + 1);
+                if (nextTagPos === -1 && !final) {
+                    break;
+                }
+                const textEnd = nextTagPos === -1 ? html.length : nextTagPos;
+
+                if (this.#xml) {
+                    const message = 'A "<" that does not start markup must be written as "&lt;"';
+                    report('error', 'unescaped-less-than', message, pos, pos + 1);
+                }
+
+                emit({ content: html.substring(pos, textEnd), position: span(pos, textEnd), type: 'text' });
+                pos = textEnd;
+                continue;
+            }
+
+            // Opening tag
+            if (html[pos] === '<' && html[pos + 1] !== '/') {
+                const tag = this.#scanTag(html, pos);
+                if (!tag && !final) {
+                    break;
+                }
+                if (!tag) {
+                    recoverAsText('unterminated-tag', 'Tag is missing its closing ">"');
+                    continue;
+                }
+
+                const { tagEnd } = tag;
+                const tagName = tag.name;
+                for (const error of tag.errors) {
+                    report('error', error.code, error.message, pos, tagEnd + 1);
+                }
+
+                const startTag = {
+                    attributes: tag.attributes,
+                    name: tagName,
+                    namespace: this.#getNamespace(tagName, tag.attributes),
+                    position: null,
+                    raw: '',
+                    selfClosing: tag.selfClosing,
+                    type: 'startTag'
+                };
+
+                // Raw text elements (style, script, textarea, etc.) and special tags are only
+                // tokenized once their closing tag has arrived
+                const rawTextKind = this.closesItself(startTag) ?
+                    null :
+                    this.#getRawTextKind(tagName, startTag.namespace);
+                const closing = rawTextKind ? this.#findRawTextEnd(html, tagName, tagEnd + 1) : null;
+                if (rawTextKind && !closing && !final) {
+                    break;
+                }
+
+                startTag.position = span(pos, tagEnd + 1);
+                startTag.raw = html.substring(pos, tagEnd + 1);
+                emit(startTag);
+
+                if (!rawTextKind) {
+                    pos = tagEnd + 1;
+                    continue;
+                }
+
+                // The content of raw text elements is never tokenized as HTML, whatever attributes
+                // the opening tag has
+                const contentEnd = closing ? closing.start : html.length;
+                emit(this.#createRawText(html, tagEnd + 1, contentEnd, tagName, rawTextKind));
+
+                if (closing) {
+                    // The closing tag keeps its own case
+                    emit({
+                        name: html.substring(closing.start + 2, closing.start + 2 + tagName.length),
+                        position: span(closing.start, closing.end),
+                        raw: html.substring(closing.start, closing.end),
+                        type: 'endTag'
+                    });
+                    pos = closing.end;
+                } else {
+                    // Like browsers, an unclosed raw text element runs to the end of the input
+                    report(
+                        'warning',
+                        'unclosed-raw-text',
+                        `<${tagName}> block is missing its closing tag`,
+                        pos,
+                        tagEnd + 1
+                    );
+                    pos = html.length;
+                }
+                continue;
+            }
+
+            // Closing tag
+            if (html[pos] === '<' && html[pos + 1] === '/') {
+                const tag = this.#scanTag(html, pos);
+                if (!tag && !final) {
+                    break;
+                }
+                if (!tag) {
+                    recoverAsText('unterminated-tag', 'Closing tag is missing its closing ">"');
+                    continue;
+                }
+
+                emit({
+                    name: tag.name,
+                    position: span(pos, tag.tagEnd + 1),
+                    raw: html.substring(pos, tag.tagEnd + 1),
+                    type: 'endTag'
+                });
+                pos = tag.tagEnd + 1;
+                continue;
+            }
+
+            // Plain text content
+            const nextTagPos = findTextEnd(pos);
+            if (nextTagPos === -1 && !final) {
+                break;
+            }
+            const textEnd = nextTagPos === -1 ? html.length : nextTagPos;
+
+            if (textEnd > pos) {
+                if (this.#xml) {
+                    checkXmlReferences(pos, textEnd);
+                }
+                emit({ content: html.substring(pos, textEnd), position: span(pos, textEnd), type: 'text' });
+            }
+            pos = textEnd;
+        }
+
+        // Keep whatever could not be tokenized yet for the next chunk
+        this.#base += pos;
+        this.#buffer = html.substring(pos);
+        this.#retryLength = this.#buffer.length * 2;
+        return !stopped;
+    }
+
+}
+
+export { RAW_TEXT_ELEMS, Tokenizer, VOID_ELEMS };
+export default Tokenizer;
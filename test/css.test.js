@@ -177,6 +177,19 @@ DIV { display: block; }
         assert.strictEqual(divRules.length, 1, 'Should find DIV');
     });
 
+    await t.test('cssFindRules shallow results are independent copies', () => {
+        const dom = parser.parse('<style>.card { color: red; .title { color: blue; } }</style>');
+        const style = dom.querySelector('style');
+
+        const [card] = style.cssFindRules('.card', { shallow: true, includeCompound: false });
+        card.cssDeclarations.color = 'green';
+
+        assert.deepStrictEqual(card.children, []);
+        assert.strictEqual(style.cssFindRules('.card', { includeCompound: false })[0].cssDeclarations.color, 'red');
+        assert.strictEqual(style.cssFindRules('.title').length, 1);
+        assert.ok(style.cssToString(card).includes('color: green'));
+    });
+
     await t.test('cssFindVariable finds CSS variables', () => {
         const html = `<style>
 :root {
@@ -574,3 +587,28 @@ div > p.highlight[data-id="123"]:not(.disabled) {
         assert.ok(rule.cssDeclarations.transform.includes('translateX'));
     });
 });
+
+test('CSSParser - Source positions', async(t) => {
+    const parser = new CSSParser();
+
+    await t.test('records positions for rules, at-rules, comments and declarations', () => {
+        const css = '/* c */\n@media (min-width: 1px) {\n    a { color: red; }\n}';
+        const tree = parser.parse(css);
+        const [comment, media] = tree.children;
+        const [rule] = media.children;
+
+        assert.strictEqual(css.slice(comment.position.start.offset, comment.position.end.offset), '/* c */');
+        assert.deepStrictEqual(media.position.start, { offset: 8, line: 2, column: 1 });
+        assert.strictEqual(media.position.end.offset, css.length);
+        assert.strictEqual(css.slice(rule.position.start.offset, rule.position.end.offset), 'a { color: red; }');
+        assert.deepStrictEqual(rule.cssDeclarationPositions.color.start, { offset: 42, line: 3, column: 9 });
+    });
+
+    await t.test('offsets positions by the given origin', () => {
+        const tree = parser.parse('a { color: red; }', { offset: 10, line: 3, column: 8 });
+        const [rule] = tree.children;
+
+        assert.deepStrictEqual(rule.position.start, { offset: 10, line: 3, column: 8 });
+        assert.deepStrictEqual(rule.position.end, { offset: 27, line: 3, column: 25 });
+    });
+});
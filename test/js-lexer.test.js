@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { JsLexer, SimpleHtmlParser } from '../src/simple-html-parser.js';
+
+// Scripts with the comments a JS engine finds in them, as [commentType, content] pairs
+const CORPUS = [
+    // Comments at the very start, and the line break after a single-line comment
+    ['// first\nlet a = 1;', [['js-single-line', ' first']]],
+    ['/* first */ let a = 1;', [['js-multi-line', ' first ']]],
+    ['let a = 1; // one\n// two\r\nlet b;', [['js-single-line', ' one'], ['js-single-line', ' two']]],
+    ['a(); // ends at a line separator\u2028b();', [['js-single-line', ' ends at a line separator']]],
+
+    // Strings and escapes
+    ['let s = "\\\\"; // real', [['js-single-line', ' real']]],
+    ["let s = '\\'// not'; /* real */", [['js-multi-line', ' real ']]],
+    ['let s = "a\\\n// still a string"; // real', [['js-single-line', ' real']]],
+    ['let url = "http://example.com/*x*/";', []],
+
+    // Template literals and code nested in ${}
+    ['let t = `// not ${a /* real */} /* not */`;', [['js-multi-line', ' real ']]],
+    ['let t = `${ {a: `${"}"} // not`}.a }// not`; // real', [['js-single-line', ' real']]],
+    ['let t = `\\`// not`; // real', [['js-single-line', ' real']]],
+    ['let t = `${x}/2/* not */`;', []],
+
+    // Regular expressions and division
+    ['let r = /\\/\\/ not/g; // real', [['js-single-line', ' real']]],
+    ['let r = /[/*]not/; // real', [['js-single-line', ' real']]],
+    ['function f(s) { return /\\/* not/.test(s); }', []],
+    ['if (typeof /x/ === "object") {} // real', [['js-single-line', ' real']]],
+    ['if (ok) /\\/\\/not/.test(s); // real', [['js-single-line', ' real']]],
+    ['let half = total / 2; // real /', [['js-single-line', ' real /']]],
+    ['let r = a++ / 2 /* real */ / b;', [['js-multi-line', ' real ']]],
+    ['let p = x.return / y.typeof / 2; // real', [['js-single-line', ' real']]],
+    ['let g = (a) / 2 // real', [['js-single-line', ' real']]],
+    ['let q = [1] / 2 /* real */', [['js-multi-line', ' real ']]],
+    ['let d = a / b /* real */ / c', [['js-multi-line', ' real ']]],
+    ['if (a) {}\n/\\/\\/not/.test(s) // real', [['js-single-line', ' real']]],
+    ['const f = () => /\\*not/; // real', [['js-single-line', ' real']]],
+
+    // HTML-like comments and hashbangs
+    ['#!/usr/bin/env node\nrun();', [['js-hashbang', '/usr/bin/env node']]],
+    ['<!-- hide\nrun();\n--> done', [['js-html-open', ' hide'], ['js-html-close', ' done']]],
+    ['a = b-->c;', []],
+    ['a();\n  /* x */ --> close', [['js-multi-line', ' x '], ['js-html-close', ' close']]],
+    ['let s = "<!-- not";', []],
+
+    // Malformed scripts are kept as they are
+    ['let a = 1; /* never closed', []],
+    ['let s = "never closed\n// real', [['js-single-line', ' real']]]
+];
+
+test('JsLexer - Comments', async(t) => {
+    const lexer = new JsLexer();
+
+    await t.test('finds exactly the comments a JS engine sees', () => {
+        for (const [source, expected] of CORPUS) {
+            const comments = lexer.findComments(source).map((comment) => { return [comment.type, comment.content]; });
+            assert.deepStrictEqual(comments, expected, source);
+        }
+    });
+
+    await t.test('reports offsets that span the whole comment', () => {
+        const source = 'a(); /* b */ c(); // d\ne();';
+        const [multi, single] = lexer.findComments(source);
+
+        assert.strictEqual(source.slice(multi.start, multi.end), '/* b */');
+        assert.strictEqual(source.slice(single.start, single.end), '// d');
+    });
+});
+
+test('JsLexer - Script blocks', async(t) => {
+    const parser = new SimpleHtmlParser(['script']);
+
+    await t.test('round-trips every script in the corpus', () => {
+        for (const [source] of CORPUS) {
+            const html = `<script>${source}</script>`;
+            assert.strictEqual(parser.parse(html).toHtml(true), html, source);
+        }
+    });
+
+    await t.test('keeps the line break after a removed single-line comment', () => {
+        const dom = parser.parse('<script>// note\nlet a = 1; // b\nlet c = 2;</script>');
+
+        assert.strictEqual(dom.toHtml(), '<script>\nlet a = 1; \nlet c = 2;</script>');
+    });
+
+    await t.test('splits script blocks into text and typed comment nodes', () => {
+        const dom = parser.parse('<script><!-- old\nlet r = /\\//; /* a */</script>');
+        const script = dom.querySelector('script');
+
+        assert.deepStrictEqual(script.children.map((child) => { return [child.type, child.commentType ?? null]; }), [
+            ['comment', 'js-html-open'], ['text', null], ['comment', 'js-multi-line']
+        ]);
+        assert.strictEqual(script.children[1].content, '\nlet r = /\\//; ');
+    });
+});
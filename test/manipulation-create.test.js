@@ -51,6 +51,22 @@ test('Node - createNode and auto-closing tags', async(t) => {
         assert.ok(!output.includes('</img>'));
     });
 
+    await t.test('createNode escapes with the rules of the document it is called on', () => {
+        const dom = parser.parse('<r></r>', { xml: true });
+        const [item, closing] = dom.createNode('item', { title: 'a\u00A0<b> & "c"' }, 'x\u00A0<y>');
+
+        assert.strictEqual(item.attributes.title, 'a\u00A0&lt;b> &amp; &quot;c&quot;');
+        assert.strictEqual(item.children[0].content, 'x\u00A0&lt;y&gt;');
+
+        dom.querySelector('r').appendChild(item, closing);
+        assert.strictEqual(dom.toHtml(), '<r><item title="a\u00A0&lt;b> &amp; &quot;c&quot;">x\u00A0&lt;y&gt;</item></r>');
+        assert.strictEqual(item.getAttribute('title'), 'a\u00A0<b> & "c"');
+
+        const [html] = parser.parse('<div></div>').createNode('p', { title: 'a\u00A0' }, 'b\u00A0');
+        assert.strictEqual(html.attributes.title, 'a&nbsp;');
+        assert.strictEqual(html.children[0].content, 'b&nbsp;');
+    });
+
     await t.test('createNode with array of child nodes', () => {
         const dom = parser.parse('<div id="container"></div>');
         const container = dom.querySelector('#container');
@@ -508,5 +524,317 @@ test('Node - insertAdjacentHTML', async(t) => {
         assert.strictEqual(spanOpenCount, 1, 'Should have exactly one opening span tag');
         assert.strictEqual(spanCloseCount, 1, 'Should have exactly one closing span tag');
     });
+
+    await t.test('parses the HTML as content of the element it is inserted into', () => {
+        const dom = parser.parse('<svg><g></g></svg><textarea></textarea><jhp></jhp>');
+        const g = dom.querySelector('g');
+
+        g.insertAdjacentHTML('beforeend', '<circle r="1"/><text>x</text>');
+        g.insertAdjacentHTML('afterend', '<rect/>');
+        dom.querySelector('textarea').insertAdjacentHTML('afterbegin', '<b>bold</b>');
+        dom.querySelector('jhp').insertAdjacentHTML('beforeend', 'if (a < b) {}');
+
+        assert.strictEqual(g.children[0].namespace, 'svg');
+        assert.strictEqual(g.children[0].selfClosing, true);
+        assert.strictEqual(dom.querySelector('rect').selfClosing, true);
+        assert.strictEqual(dom.querySelector('b'), null);
+        assert.strictEqual(
+            dom.toHtml(),
+            '<svg><g><circle r="1"/><text>x</text></g><rect/></svg><textarea><b>bold</b></textarea><jhp>if (a < b) {}</jhp>'
+        );
+    });
+
+    await t.test('parses the HTML with the options the document was parsed with', async(t) => {
+        await t.test('selfClosingTags', () => {
+            const dom = parser.parse('<div></div>', { selfClosingTags: true });
+            const div = dom.querySelector('div');
+
+            div.insertAdjacentHTML('beforeend', '<x-icon/><p>a</p>');
+
+            assert.strictEqual(dom.querySelector('x-icon').selfClosing, true);
+            assert.strictEqual(dom.querySelector('p').parent, div);
+            assert.strictEqual(dom.toHtml(), '<div><x-icon/><p>a</p></div>');
+        });
+
+        await t.test('templateContent', () => {
+            const dom = parser.parse('<div></div>', { templateContent: false });
+
+            dom.querySelector('div').insertAdjacentHTML('beforeend', '<template><p>t</p></template>');
+
+            assert.strictEqual(dom.querySelector('template').content, '');
+            assert.strictEqual(dom.querySelector('p').parent, dom.querySelector('template'));
+        });
+
+        await t.test('impliedEndTags', () => {
+            const dom = parser.parse('<div></div>', { impliedEndTags: false });
+
+            dom.querySelector('div').insertAdjacentHTML('beforeend', '<p>a<p>b');
+
+            const [outer, inner] = dom.querySelectorAll('p');
+            assert.strictEqual(inner.parent, outer);
+        });
+
+        await t.test('limits', () => {
+            const dom = parser.parse('<div></div>', { limits: { maxDepth: 2 } });
+            const div = dom.querySelector('div');
+
+            assert.throws(() => { div.insertAdjacentHTML('beforeend', '<b><i><u>x</u></i></b>'); }, /maxDepth limit of 2/);
+            assert.strictEqual(dom.toHtml(), '<div></div>');
+        });
+    });
+});
+
+
+test('Node - setInnerHtml/setOuterHtml', async(t) => {
+    const parser = new SimpleHtmlParser(['jhp']);
+
+    await t.test('setInnerHtml replaces the children and keeps the closing tag', () => {
+        const dom = parser.parse('<ul id="list"><li>Old</li></ul><p>After</p>');
+        const list = dom.querySelector('#list');
+        const old = list.querySelector('li');
+
+        assert.strictEqual(list.setInnerHtml('<li>One</li><li>Two</li>'), list);
+
+        assert.strictEqual(dom.toHtml(), '<ul id="list"><li>One</li><li>Two</li></ul><p>After</p>');
+        assert.strictEqual(old.parent, null);
+        assert.ok(list.children.every((child) => { return child.parent === list; }));
+        assert.strictEqual(dom.querySelectorAll('li').length, 2);
+    });
+
+    await t.test('setInnerHtml keeps whitespace between the new nodes', () => {
+        const dom = parser.parse('<div></div>');
+
+        dom.querySelector('div').setInnerHtml('\n  <b>a</b>\n  <i>b</i>\n');
+
+        assert.strictEqual(dom.toHtml(), '<div>\n  <b>a</b>\n  <i>b</i>\n</div>');
+    });
+
+    await t.test('setInnerHtml parses in the context of the element', () => {
+        const dom = parser.parse('<textarea>a</textarea><svg><g></g></svg><template><p>t</p></template><jhp>x</jhp>');
+
+        dom.querySelector('textarea').setInnerHtml('<b>text</b>');
+        dom.querySelector('g').setInnerHtml('<circle r="4"/>');
+        dom.querySelector('template').setInnerHtml('<p>new</p>');
+        dom.querySelector('jhp').setInnerHtml('if (a < b) {}');
+
+        assert.strictEqual(dom.querySelector('textarea').children[0].type, 'text');
+        assert.strictEqual(dom.querySelector('circle').namespace, 'svg');
+        assert.strictEqual(
+            dom.toHtml(),
+            '<textarea><b>text</b></textarea><svg><g><circle r="4"/></g></svg><template><p>new</p></template><jhp>if (a < b) {}</jhp>'
+        );
+    });
+
+    await t.test('setInnerHtml throws for void elements and nodes that are not elements', () => {
+        const dom = parser.parse('<p>a<br>b</p>');
+
+        assert.throws(() => { dom.querySelector('br').setInnerHtml('x'); }, /void or self-closing/);
+        assert.throws(() => { dom.querySelector('p').children[0].setInnerHtml('x'); }, /only be used on elements/);
+    });
+
+    await t.test('setOuterHtml replaces the element with its content and closing tag', () => {
+        const dom = parser.parse('<div><b>Old <i>text</i></b> end</div>');
+        const bold = dom.querySelector('b');
+
+        assert.strictEqual(bold.setOuterHtml('<strong>New</strong>!'), bold);
+
+        assert.strictEqual(dom.toHtml(), '<div><strong>New</strong>! end</div>');
+        assert.strictEqual(bold.parent, null);
+        assert.strictEqual(dom.querySelector('strong').parent, dom.querySelector('div'));
+        assert.strictEqual(dom.querySelector('i'), null);
+    });
+
+    await t.test('setOuterHtml with empty HTML removes the node', () => {
+        const dom = parser.parse('<p>a</p><p id="x">b</p><p>c</p>');
+
+        dom.querySelector('#x').setOuterHtml('');
+
+        assert.strictEqual(dom.toHtml(), '<p>a</p><p>c</p>');
+    });
+
+    await t.test('setOuterHtml throws for closing tags and detached nodes', () => {
+        const dom = parser.parse('<p>a</p>');
+        const closing = dom.children[1];
+
+        assert.throws(() => { closing.setOuterHtml('<p>b</p>'); }, /closing tags/);
+        assert.throws(() => { dom.setOuterHtml('<p>b</p>'); }, /no parent/);
+    });
+
+    await t.test('markup that fails to parse leaves the tree unchanged', () => {
+        const dom = parser.parse('<a><b/></a>', { xml: true });
+
+        assert.throws(() => { dom.querySelector('b').setOuterHtml('<c>'); }, /was not closed/);
+        assert.throws(() => { dom.querySelector('a').setInnerHtml('<c></d>'); });
+        assert.strictEqual(dom.toHtml(), '<a><b/></a>');
+    });
+
+    await t.test('parses the HTML with the options the document was parsed with', async(t) => {
+        await t.test('selfClosingTags', () => {
+            const dom = parser.parse('<div></div><span></span>', { selfClosingTags: true });
+            const div = dom.querySelector('div');
+
+            div.setInnerHtml('<x-icon/><p>a</p>');
+            dom.querySelector('span').setOuterHtml('<x-icon/><p>b</p>');
+
+            assert.deepStrictEqual(div.children.map((child) => { return child.name; }), ['x-icon', 'p', 'p']);
+            assert.deepStrictEqual(dom.children.map((child) => { return child.name; }), ['div', 'div', 'x-icon', 'p', 'p']);
+            assert.strictEqual(dom.toHtml(), '<div><x-icon/><p>a</p></div><x-icon/><p>b</p>');
+        });
+
+        await t.test('templateContent', () => {
+            const dom = parser.parse('<div></div>', { templateContent: false });
+
+            dom.querySelector('div').setInnerHtml('<template><p>t</p></template>');
+
+            assert.strictEqual(dom.querySelector('template').content, '');
+            assert.strictEqual(dom.querySelector('p').parent, dom.querySelector('template'));
+        });
+
+        await t.test('impliedEndTags', () => {
+            const dom = parser.parse('<div></div><span></span>', { impliedEndTags: false });
+
+            dom.querySelector('div').setInnerHtml('<p>a<p>b');
+            dom.querySelector('span').setOuterHtml('<li>c<li>d');
+
+            assert.strictEqual(dom.querySelector('div').children[0].children[1].name, 'p');
+            assert.strictEqual(dom.children[2].children[1].name, 'li');
+            assert.strictEqual(dom.toHtml(), '<div><p>a<p>b</div><li>c<li>d');
+        });
+
+        await t.test('limits', () => {
+            const dom = parser.parse('<div></div>', { limits: { maxDepth: 2 } });
+            const div = dom.querySelector('div');
+
+            assert.throws(() => { div.setInnerHtml('<b><i><u>x</u></i></b>'); }, /maxDepth limit of 2/);
+            assert.throws(() => { div.setOuterHtml('<b><i><u>x</u></i></b>'); }, /maxDepth limit of 2/);
+            assert.strictEqual(dom.toHtml(), '<div></div>');
+        });
+    });
+
+    await t.test('nodes created in code cannot be parsed into', () => {
+        const div = new Node('tag-open', 'div');
+
+        assert.throws(() => { div.setInnerHtml('<p>x</p>'); }, /Parser not found/);
+    });
 });
 
+test('Node - cloneNode', async(t) => {
+    const parser = new SimpleHtmlParser(['script', 'style']);
+
+    await t.test('returns a copy of an element with a fresh closing tag', () => {
+        const dom = parser.parse('<ul><li class="card"><b>A</b></li></ul>');
+        const card = dom.querySelector('li');
+
+        const [copy, closing] = card.cloneNode(true);
+
+        assert.strictEqual(copy.parent, null);
+        assert.strictEqual(closing.type, 'tag-close');
+        assert.strictEqual(closing.name, 'li');
+        assert.notStrictEqual(closing, card.parent.children[1]);
+        assert.strictEqual(copy.children[0].parent, copy);
+        assert.notStrictEqual(copy.children[0], card.children[0]);
+    });
+
+    await t.test('gives a detached element a new closing tag', () => {
+        const dom = parser.parse('<main></main>');
+        const [section] = dom.createNode('section', {}, 'hi');
+        const [img] = dom.createNode('img', { src: 'a.png' });
+        const [circle] = dom.createNode('circle', { r: '4' }, null, { selfClosing: true });
+
+        const [copy, closing] = section.cloneNode(true);
+
+        assert.strictEqual(closing.type, 'tag-close');
+        assert.strictEqual(closing.name, 'section');
+        assert.strictEqual(img.cloneNode().length, 1);
+        assert.strictEqual(circle.cloneNode().length, 1);
+
+        dom.querySelector('main').appendChild(copy, closing);
+        assert.strictEqual(dom.toHtml(), '<main><section>hi</section></main>');
+    });
+
+    await t.test('copies can be inserted and changed independently', () => {
+        const dom = parser.parse('<ul><li class="card"><b>A</b></li></ul>');
+        const list = dom.querySelector('ul');
+        const card = dom.querySelector('li');
+
+        for (let i = 0; i < 2; i++) {
+            list.appendChild(...card.cloneNode(true));
+        }
+        list.children[2].setAttribute('class', 'copy');
+        list.children[2].querySelector('b').textContent = 'B';
+
+        assert.strictEqual(
+            dom.toHtml(),
+            '<ul><li class="card"><b>A</b></li><li class="copy"><b>B</b></li><li class="card"><b>A</b></li></ul>'
+        );
+    });
+
+    await t.test('shallow copies leave out the children', () => {
+        const dom = parser.parse('<div id="a" hidden><p>x</p></div><br>');
+
+        const copies = dom.querySelector('div').cloneNode();
+
+        assert.strictEqual(copies.length, 2);
+        assert.deepStrictEqual(copies[0].children, []);
+        assert.deepStrictEqual(copies[0].attributes, { id: 'a', hidden: '__EMPVAL__' });
+        assert.notStrictEqual(copies[0].attributes, dom.querySelector('div').attributes);
+        assert.strictEqual(dom.querySelector('br').cloneNode().length, 1);
+    });
+
+    await t.test('copies every node type', () => {
+        const dom = parser.parse('<!DOCTYPE html><?xml-stylesheet href="a.css"?><!-- note --><p>text</p>');
+
+        for (const node of dom.children) {
+            const [copy] = node.cloneNode(true);
+            assert.strictEqual(copy.type, node.type);
+            assert.strictEqual(copy.toHtml(true), node.toHtml(true));
+        }
+        assert.strictEqual(dom.cloneNode(true)[0].toHtml(true), dom.toHtml(true));
+    });
+
+    await t.test('copies CSS declarations of style blocks', () => {
+        const dom = parser.parse('<style>.card { color: red; }</style>');
+        const style = dom.querySelector('style');
+
+        const [copy] = style.cloneNode(true);
+        copy.cssFindRules('.card')[0].cssDeclarations.color = 'blue';
+
+        assert.strictEqual(copy.styleBlock, true);
+        assert.strictEqual(style.cssFindRules('.card')[0].cssDeclarations.color, 'red');
+        assert.ok(copy.toHtml().includes('color: blue'));
+    });
+
+    await t.test('copies script blocks with their comment types', () => {
+        const dom = parser.parse('<script>a(); /* b */</script>');
+        const script = dom.querySelector('script');
+
+        const [copy] = script.cloneNode(true);
+
+        assert.strictEqual(copy.scriptBlock, true);
+        assert.strictEqual(copy.children[1].commentType, 'js-multi-line');
+        assert.strictEqual(copy.innerHtml(true), script.innerHtml(true));
+    });
+
+    await t.test('copies the contents of templates', () => {
+        const dom = parser.parse('<template><i>t</i></template>');
+        const template = dom.querySelector('template');
+
+        const [deep] = template.cloneNode(true);
+        const [shallow] = template.cloneNode();
+
+        assert.strictEqual(deep.content.host, deep);
+        assert.notStrictEqual(deep.content, template.content);
+        assert.strictEqual(deep.innerHtml(), '<i>t</i>');
+        assert.strictEqual(shallow.innerHtml(), '');
+    });
+
+    await t.test('copied documents keep their parser', () => {
+        const dom = parser.parse('<div></div>');
+        const [copy] = dom.cloneNode(true);
+
+        copy.querySelector('div').insertAdjacentHTML('beforeend', '<p>x</p>');
+
+        assert.strictEqual(copy.toHtml(), '<div><p>x</p></div>');
+        assert.strictEqual(dom.toHtml(), '<div></div>');
+    });
+});
@@ -1,6 +1,8 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { SimpleHtmlParser } from '../src/simple-html-parser.js';
+import {
+    ParseError, ParseLimitError, SimpleHtmlParser, Tokenizer
+} from '../src/simple-html-parser.js';
 
 test('SimpleHtmlParser - Basic parsing', async(t) => {
     const parser = new SimpleHtmlParser();
@@ -244,3 +246,1497 @@ test('SimpleHtmlParser - Iterator', async(t) => {
         }
     });
 });
+
+test('SimpleHtmlParser - Source positions', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('records offset, line and column for tags and text', () => {
+        const html = '<div>\n    <p class="a">Hi</p>\n</div>';
+        const dom = parser.parse(html);
+        const p = dom.querySelector('p');
+
+        assert.deepStrictEqual(p.position.start, { offset: 10, line: 2, column: 5 });
+        assert.deepStrictEqual(p.position.end, { offset: 23, line: 2, column: 18 });
+        assert.strictEqual(html.slice(p.position.start.offset, p.position.end.offset), '<p class="a">');
+
+        const text = p.children[0];
+        assert.strictEqual(html.slice(text.position.start.offset, text.position.end.offset), 'Hi');
+
+        const close = dom.children[0].children.find((c) => { return c.type === 'tag-close'; });
+        assert.strictEqual(html.slice(close.position.start.offset, close.position.end.offset), '</p>');
+    });
+
+    await t.test('records positions for comments and script comments', () => {
+        const scriptParser = new SimpleHtmlParser(['script']);
+        const html = '<!-- note -->\n<script>\nlet a = 1; // one\n</script>';
+        const dom = scriptParser.parse(html);
+
+        const [htmlComment, jsComment] = dom.getComments().map((c) => { return c.node; });
+        assert.deepStrictEqual(htmlComment.position.start, { offset: 0, line: 1, column: 1 });
+        assert.strictEqual(html.slice(jsComment.position.start.offset, jsComment.position.end.offset), '// one');
+        assert.strictEqual(jsComment.position.start.line, 3);
+        assert.strictEqual(jsComment.position.start.column, 12);
+    });
+
+    await t.test('records document-relative positions for style blocks', () => {
+        const html = '<p></p>\n<style>\n.card {\n    color: red;\n}\n</style>';
+        const dom = parser.parse(html);
+        const [rule] = dom.querySelector('style').cssFindRules('.card');
+
+        assert.deepStrictEqual(rule.position.start, { offset: 16, line: 3, column: 1 });
+        assert.strictEqual(rule.position.end.line, 5);
+        assert.deepStrictEqual(rule.cssDeclarationPositions.color.start, { offset: 28, line: 4, column: 5 });
+        assert.strictEqual(html.slice(
+            rule.cssDeclarationPositions.color.start.offset,
+            rule.cssDeclarationPositions.color.end.offset
+        ), 'color: red');
+    });
+
+    await t.test('positions of inserted HTML are relative to the fragment', () => {
+        const dom = parser.parse('<div id="a">\n\n</div>');
+        dom.querySelector('#a').insertAdjacentHTML('beforeend', '<span>x</span>');
+        const span = dom.querySelector('span');
+
+        assert.deepStrictEqual(span.position.start, { offset: 0, line: 1, column: 1 });
+    });
+
+    await t.test('nodes created programmatically have no position', () => {
+        const dom = parser.parse('<div></div>');
+        const [span] = dom.createNode('span');
+
+        assert.strictEqual(span.position, null);
+    });
+
+    await t.test('visualize can display positions', () => {
+        const dom = parser.parse('<div>\n<p>Hi</p></div>');
+        const output = dom.visualize({ returnString: true, showPosition: true });
+
+        assert.ok(output.includes('<div> @1:1-1:6'));
+        assert.ok(output.includes('<p> @2:1-2:4'));
+        assert.ok(!dom.visualize({ returnString: true }).includes('@1:1'));
+    });
+});
+
+test('SimpleHtmlParser - Diagnostics', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('does not record diagnostics unless asked to', () => {
+        const dom = parser.parse('<div><p>Unclosed</div>');
+
+        assert.strictEqual(dom.diagnostics, undefined);
+    });
+
+    await t.test('reports a clean document as having no problems', () => {
+        const dom = parser.parse('<div><p>Fine</p><br></div>', { diagnostics: true });
+
+        assert.deepStrictEqual(dom.diagnostics, { errors: [], warnings: [] });
+    });
+
+    await t.test('reports unterminated tags and unclosed comments as errors', () => {
+        const dom = parser.parse('<p>Text</p>\n<!-- open', { diagnostics: true });
+        const [error] = dom.diagnostics.errors;
+
+        assert.strictEqual(error.code, 'unclosed-comment');
+        assert.strictEqual(error.severity, 'error');
+        assert.deepStrictEqual(error.position.start, { offset: 12, line: 2, column: 1 });
+
+        const tagDom = parser.parse('<div class="a"', { diagnostics: true });
+        assert.strictEqual(tagDom.diagnostics.errors[0].code, 'unterminated-tag');
+    });
+
+    await t.test('reports unmatched closing tags', () => {
+        const dom = parser.parse('<div></span></div>', { diagnostics: true });
+        const [error] = dom.diagnostics.errors;
+
+        assert.strictEqual(error.code, 'unmatched-closing-tag');
+        assert.strictEqual(error.position.start.offset, 5);
+        assert.strictEqual(error.position.end.offset, 12);
+        assert.strictEqual(dom.diagnostics.warnings.length, 0);
+    });
+
+    await t.test('reports elements left open as warnings', () => {
+        const dom = parser.parse('<div><span>Text</div><section>', { diagnostics: true });
+        const names = dom.diagnostics.warnings.map((w) => { return [w.code, w.position.start.offset]; });
+
+        assert.deepStrictEqual(names, [['unclosed-element', 5], ['unclosed-element', 21]]);
+        assert.strictEqual(dom.diagnostics.errors.length, 0);
+    });
+
+    await t.test('still recovers the same tree', () => {
+        const html = '<div><p>Unclosed</div>';
+
+        assert.strictEqual(parser.parse(html, { diagnostics: true }).toHtml(), parser.parse(html).toHtml());
+    });
+});
+
+test('SimpleHtmlParser - Implied end tags', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    const childNames = (node) => {
+        return node.children.filter((c) => { return c.type === 'tag-open'; }).map((c) => { return c.name; });
+    };
+
+    await t.test('a new list item closes the previous one', () => {
+        const dom = parser.parse('<ul><li>a<li>b</ul>');
+        const ul = dom.querySelector('ul');
+
+        assert.deepStrictEqual(childNames(ul), ['li', 'li']);
+        assert.strictEqual(dom.querySelectorAll('li')[1].parent, ul);
+    });
+
+    await t.test('paragraphs do not nest', () => {
+        const dom = parser.parse('<p>one<p>two<div>three</div>');
+
+        assert.deepStrictEqual(childNames(dom), ['p', 'p', 'div']);
+    });
+
+    await t.test('definition terms and descriptions close each other', () => {
+        const dom = parser.parse('<dl><dt>a<dd>b<dt>c</dl>');
+
+        assert.deepStrictEqual(childNames(dom.querySelector('dl')), ['dt', 'dd', 'dt']);
+    });
+
+    await t.test('table rows and cells close the previous row or cell', () => {
+        const dom = parser.parse('<table><tr><td>1<td>2<tr><th>3</table>');
+        const rows = dom.querySelectorAll('tr');
+
+        assert.strictEqual(rows.length, 2);
+        assert.deepStrictEqual(childNames(rows[0]), ['td', 'td']);
+        assert.deepStrictEqual(childNames(rows[1]), ['th']);
+        assert.strictEqual(rows[1].parent, dom.querySelector('table'));
+    });
+
+    await t.test('options close the previous option', () => {
+        const dom = parser.parse('<select><option>a<option>b<optgroup><option>c</select>');
+
+        assert.deepStrictEqual(childNames(dom.querySelector('select')), ['option', 'option', 'optgroup']);
+    });
+
+    await t.test('nested lists keep their items', () => {
+        const dom = parser.parse('<ul><li>a<ul><li>b</ul><li>c</ul>');
+        const outer = dom.querySelector('ul');
+
+        assert.deepStrictEqual(childNames(outer), ['li', 'li']);
+        assert.deepStrictEqual(childNames(outer.children[0]), ['ul']);
+    });
+
+    await t.test('round-trips the original markup', () => {
+        const html = '<ul>\n  <li>a\n  <li>b\n</ul>\n<p>one\n<p>two';
+
+        assert.strictEqual(parser.parse(html).toHtml(), html);
+    });
+
+    await t.test('optional end tags are not reported as unclosed', () => {
+        const dom = parser.parse('<ul><li>a<li>b</ul><p>c', { diagnostics: true });
+
+        assert.strictEqual(dom.diagnostics.warnings.length, 0);
+    });
+
+    await t.test('can be turned off', () => {
+        const html = '<ul><li>a<li>b</ul>';
+        const perParser = new SimpleHtmlParser(undefined, { impliedEndTags: false }).parse(html);
+        const perCall = parser.parse(html, { impliedEndTags: false });
+
+        for (const dom of [perParser, perCall]) {
+            const [first, second] = dom.querySelectorAll('li');
+            assert.strictEqual(second.parent, first);
+        }
+    });
+});
+
+test('SimpleHtmlParser - Raw text elements', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('script content is never parsed as HTML, even with attributes', () => {
+        const html = '<script type="module">if (a < b) { el.innerHTML = "</div><p>"; }</script><p>After</p>';
+        const dom = parser.parse(html);
+        const script = dom.querySelector('script');
+
+        assert.strictEqual(script.children.length, 1);
+        assert.strictEqual(script.children[0].type, 'text');
+        assert.strictEqual(dom.querySelectorAll('p').length, 1);
+        assert.strictEqual(dom.querySelector('p').parent, dom);
+        assert.strictEqual(dom.toHtml(), html);
+    });
+
+    await t.test('textarea and title content is kept as text', () => {
+        const dom = parser.parse('<title>A <b> title</title><textarea name="t"><div>x</div></textarea>');
+
+        assert.strictEqual(dom.querySelector('title').children[0].content, 'A <b> title');
+        assert.strictEqual(dom.querySelector('textarea').children[0].content, '<div>x</div>');
+        assert.strictEqual(dom.querySelector('b'), null);
+        assert.strictEqual(dom.querySelector('div'), null);
+    });
+
+    await t.test('closing tags match case-insensitively and need a tag boundary', () => {
+        const dom = parser.parse('<script>a = "</scripts>";</SCRIPT ><p>x</p>');
+        const script = dom.querySelector('script');
+
+        assert.strictEqual(script.children[0].content, 'a = "</scripts>";');
+        assert.ok(dom.querySelector('p'));
+    });
+
+    await t.test('style tags with attributes are parsed as CSS', () => {
+        const dom = parser.parse('<style media="print">.a { color: red; }</style>');
+        const style = dom.querySelector('style');
+
+        assert.ok(style.styleBlock);
+        assert.strictEqual(style.cssFindRules('.a').length, 1);
+    });
+
+    await t.test('special tags with attributes still split JS comments', () => {
+        const scriptParser = new SimpleHtmlParser(['script']);
+        const dom = scriptParser.parse('<script src="a.js" defer>let a = 1; /* note */</script>');
+        const script = dom.querySelector('script');
+
+        assert.ok(script.scriptBlock);
+        assert.strictEqual(script.children[1].type, 'comment');
+        assert.strictEqual(script.children[1].commentType, 'js-multi-line');
+    });
+
+    await t.test('an unclosed raw text element runs to the end of the input', () => {
+        const dom = parser.parse('<script>let a = "<div>";', { diagnostics: true });
+
+        assert.strictEqual(dom.querySelector('div'), null);
+        assert.strictEqual(dom.querySelector('script').children[0].content, 'let a = "<div>";');
+        assert.strictEqual(dom.diagnostics.warnings[0].code, 'unclosed-raw-text');
+    });
+});
+
+test('SimpleHtmlParser - Attribute tokenizing', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('a > inside a quoted value does not end the tag', () => {
+        const dom = parser.parse('<a title="a > b">Link</a>');
+        const a = dom.querySelector('a');
+
+        assert.strictEqual(a.getAttribute('title'), 'a > b');
+        assert.strictEqual(a.children.length, 1);
+        assert.strictEqual(a.children[0].content, 'Link');
+    });
+
+    await t.test('parses double, single, unquoted and valueless attributes', () => {
+        const dom = parser.parse(`<input type=text value='a "b"' data-x="1" disabled>`);
+        const input = dom.querySelector('input');
+
+        assert.deepStrictEqual(input.attributes, {
+            type: 'text',
+            value: 'a "b"',
+            'data-x': '1',
+            disabled: '__EMPVAL__'
+        });
+    });
+
+    await t.test('keeps empty values distinct from valueless attributes', () => {
+        const dom = parser.parse('<img alt="" hidden>');
+
+        assert.strictEqual(dom.querySelector('img').getAttribute('alt'), '');
+        assert.strictEqual(dom.toHtml(), '<img alt="" hidden>');
+    });
+
+    await t.test('round-trips Alpine and Vue style attributes', () => {
+        const html = '<div x-show="count > 0" :class="{ active: a > b }" @click="open = !open" x-on:keyup.enter="go()">' +
+            '<span v-if=\'items.length > 1 && name === "x"\'>Many</span></div>';
+        const dom = parser.parse(html);
+
+        assert.strictEqual(dom.querySelector('div').getAttribute('@click'), 'open = !open');
+        assert.strictEqual(dom.querySelector('span').getAttribute('v-if'), 'items.length > 1 && name === "x"');
+        assert.strictEqual(dom.toHtml(), html);
+    });
+
+    await t.test('tag names stop at a slash or whitespace', () => {
+        const dom = parser.parse('<div><br/><p>After</p></div >');
+
+        assert.ok(dom.querySelector('br'));
+        assert.strictEqual(dom.querySelector('p').parent, dom.querySelector('div'));
+        assert.strictEqual(dom.children[1].type, 'tag-close');
+    });
+
+    await t.test('reports a tag whose quoted value never closes', () => {
+        const dom = parser.parse('<div title="never closed>Text', { diagnostics: true });
+
+        assert.strictEqual(dom.diagnostics.errors[0].code, 'unterminated-tag');
+    });
+});
+
+test('SimpleHtmlParser - Lossless mode', async(t) => {
+    const parser = new SimpleHtmlParser(undefined, { lossless: true });
+    const html = `<div   class='card'
+     id=main data-x = "1">
+    <br/><img src=a.png alt=''>
+    <style media="screen">
+        .card   { color : red }
+    </style>
+</div >`;
+
+    await t.test('serializes untouched nodes byte for byte', () => {
+        const dom = parser.parse(html);
+
+        assert.strictEqual(dom.toHtml(), html);
+        assert.strictEqual(dom.querySelector('img').raw, "<img src=a.png alt=''>");
+    });
+
+    await t.test('regenerates only the tags that changed', () => {
+        const dom = parser.parse(html);
+        dom.querySelector('img').setAttribute('alt', 'Photo');
+
+        const output = dom.toHtml();
+        assert.ok(output.includes('<img src="a.png" alt="Photo">'));
+        assert.ok(output.startsWith(`<div   class='card'\n     id=main data-x = "1">`));
+        assert.ok(output.includes('<br/>'));
+    });
+
+    await t.test('detects direct changes to name and attributes', () => {
+        const dom = parser.parse('<p  id=a>x</p>');
+        const p = dom.querySelector('p');
+        p.attributes.id = 'b';
+
+        assert.strictEqual(dom.toHtml(), '<p id="b">x</p>');
+    });
+
+    await t.test('keeps style blocks verbatim until their CSS changes', () => {
+        const dom = parser.parse(html);
+        const style = dom.querySelector('style');
+        assert.ok(dom.toHtml().includes('.card   { color : red }'));
+
+        style.cssFindRules('.card')[0].cssDeclarations.color = 'blue';
+        assert.ok(dom.toHtml().includes('color: blue;'));
+    });
+
+    await t.test('can be enabled per call', () => {
+        const dom = new SimpleHtmlParser().parse('<p  class=a>x</p >', { lossless: true });
+
+        assert.strictEqual(dom.toHtml(), '<p  class=a>x</p >');
+    });
+
+    await t.test('is off by default', () => {
+        const dom = new SimpleHtmlParser().parse('<p  class=a>x</p >');
+
+        assert.strictEqual(dom.querySelector('p').raw, null);
+        assert.strictEqual(dom.toHtml(), '<p class="a">x</p>');
+    });
+});
+
+test('SimpleHtmlParser - Declarations', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('parses a doctype into a leaf node', () => {
+        const dom = parser.parse('<!DOCTYPE html><html><body></body></html>');
+        const [doctype, html] = dom.children;
+
+        assert.strictEqual(doctype.type, 'doctype');
+        assert.strictEqual(doctype.name, 'html');
+        assert.strictEqual(doctype.publicId, null);
+        assert.strictEqual(doctype.systemId, null);
+        assert.strictEqual(doctype.children.length, 0);
+        assert.strictEqual(html.name, 'html');
+    });
+
+    await t.test('reads public and system identifiers', () => {
+        const source = '<!doctype HTML PUBLIC "-//W3C//DTD HTML 4.01//EN" \'http://www.w3.org/TR/html4/strict.dtd\'>';
+        const doctype = parser.parse(source).children[0];
+
+        assert.strictEqual(doctype.name, 'html');
+        assert.strictEqual(doctype.publicId, '-//W3C//DTD HTML 4.01//EN');
+        assert.strictEqual(doctype.systemId, 'http://www.w3.org/TR/html4/strict.dtd');
+        assert.strictEqual(parser.parse(source).toHtml(), source);
+    });
+
+    await t.test('regenerates a doctype whose fields changed', () => {
+        const dom = parser.parse('<!doctype html system "about:legacy-compat">');
+        assert.strictEqual(dom.children[0].systemId, 'about:legacy-compat');
+
+        dom.children[0].systemId = null;
+        assert.strictEqual(dom.toHtml(), '<!DOCTYPE html>');
+    });
+
+    await t.test('parses CDATA sections', () => {
+        const dom = parser.parse('<svg><![CDATA[ a < b && <c> ]]></svg>');
+        const cdata = dom.querySelector('svg').children[0];
+
+        assert.strictEqual(cdata.type, 'cdata');
+        assert.strictEqual(cdata.content, ' a < b && <c> ');
+        assert.strictEqual(dom.findAllByType('cdata').length, 1);
+        assert.strictEqual(dom.toHtml(), '<svg><![CDATA[ a < b && <c> ]]></svg>');
+    });
+
+    await t.test('parses processing instructions', () => {
+        const dom = parser.parse('<?xml version="1.0" encoding="UTF-8"?><root></root>');
+        const pi = dom.children[0];
+
+        assert.strictEqual(pi.type, 'processing-instruction');
+        assert.strictEqual(pi.target, 'xml');
+        assert.strictEqual(pi.content, 'version="1.0" encoding="UTF-8"');
+        assert.strictEqual(dom.toHtml(), '<?xml version="1.0" encoding="UTF-8"?><root></root>');
+
+        pi.content = 'version="1.1"';
+        assert.ok(dom.toHtml().startsWith('<?xml version="1.1"?>'));
+    });
+
+    await t.test('includes declarations in iteration and visualization', () => {
+        const dom = parser.parse('<!DOCTYPE html><?php echo 1; ?><![CDATA[x]]>');
+        const types = [...dom].map((node) => { return node.type; });
+        const tree = dom.visualize({ returnString: true });
+
+        assert.deepStrictEqual(types, ['doctype', 'processing-instruction', 'cdata']);
+        assert.ok(tree.includes('DOCTYPE html'));
+        assert.ok(tree.includes('PI php'));
+        assert.ok(tree.includes('CDATA'));
+    });
+
+    await t.test('reports an unclosed CDATA section', () => {
+        const dom = parser.parse('<p><![CDATA[never closed</p>', { diagnostics: true });
+
+        assert.strictEqual(dom.diagnostics.errors[0].code, 'unclosed-cdata');
+    });
+});
+
+test('SimpleHtmlParser - Case-insensitive names', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('closes elements whatever the case of the closing tag', () => {
+        const dom = parser.parse('<DIV><Span>x</SPAN></div><p>after</p>');
+        const div = dom.children[0];
+
+        assert.strictEqual(div.name, 'DIV');
+        assert.strictEqual(dom.children[1].type, 'tag-close');
+        assert.strictEqual(dom.children[2].name, 'p');
+        assert.strictEqual(dom.toHtml(), '<DIV><Span>x</SPAN></div><p>after</p>');
+    });
+
+    await t.test('treats uppercase void and raw text elements like lowercase ones', () => {
+        const dom = parser.parse('<P>a<BR>b</P><SCRIPT>if (a < b) {}</Script><Style>p { color: red }</STYLE>');
+
+        assert.strictEqual(dom.querySelector('br').children.length, 0);
+        assert.strictEqual(dom.querySelector('script').children[0].content, 'if (a < b) {}');
+        assert.strictEqual(dom.querySelector('style').styleBlock, true);
+        assert.ok(dom.toHtml().includes('</Script>'));
+    });
+
+    await t.test('applies implied end tags regardless of case', () => {
+        const dom = parser.parse('<UL><LI>one<li>two</ul>');
+        const items = dom.findAllByTag('li');
+
+        assert.strictEqual(items.length, 2);
+        assert.strictEqual(items[1].parent.name, 'UL');
+    });
+
+    await t.test('matches tag names in queries regardless of case', () => {
+        const dom = parser.parse('<DIV class="a"><SPAN id="x"></SPAN></DIV>');
+
+        assert.strictEqual(dom.querySelectorAll('div').length, 1);
+        assert.strictEqual(dom.querySelector('div span#x').name, 'SPAN');
+        assert.strictEqual(dom.findAllByTag('Span').length, 1);
+    });
+
+    await t.test('matches attribute names regardless of case', () => {
+        const dom = parser.parse('<div DATA-ID="1" Class="a b"></div>');
+        const div = dom.querySelector('[data-id=1]');
+
+        assert.ok(div);
+        assert.strictEqual(div.getAttribute('class'), 'a b');
+        assert.strictEqual(dom.querySelector('.b'), div);
+        assert.strictEqual(dom.findAllByAttr('data-id').length, 1);
+
+        div.setAttribute('class', 'c');
+        div.updateAttribute('CLASS', 'd');
+        assert.deepStrictEqual(div.attributes, { 'DATA-ID': '1', Class: 'c d' });
+
+        div.removeAttribute('data-id');
+        assert.strictEqual(dom.toHtml(), '<div Class="c d"></div>');
+    });
+
+    await t.test('keeps only the first of duplicate attributes', () => {
+        const dom = parser.parse('<a href="1" HREF="2">x</a>');
+
+        assert.deepStrictEqual(dom.querySelector('a').attributes, { href: '1' });
+    });
+
+    await t.test('removes elements whose closing tag differs in case', () => {
+        const dom = parser.parse('<main><SECTION>x</section><p>y</p></main>');
+        dom.querySelector('section').remove();
+
+        assert.strictEqual(dom.toHtml(), '<main><p>y</p></main>');
+    });
+});
+
+test('SimpleHtmlParser - Self-closing tags', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('honors a trailing slash in SVG content', () => {
+        const dom = parser.parse('<svg><path d="M0 0"/><circle r="1" /></svg><p>after</p>');
+        const svg = dom.querySelector('svg');
+
+        assert.deepStrictEqual(svg.children.map((node) => { return node.name; }), ['path', 'circle']);
+        assert.strictEqual(svg.children[0].selfClosing, true);
+        assert.strictEqual(dom.querySelector('p').parent, dom);
+        assert.strictEqual(dom.toHtml(), '<svg><path d="M0 0"/><circle r="1"/></svg><p>after</p>');
+    });
+
+    await t.test('honors a trailing slash in MathML content', () => {
+        const dom = parser.parse('<math><mspace width="1em"/><mi>x</mi></math>');
+
+        assert.strictEqual(dom.querySelector('mspace').selfClosing, true);
+        assert.strictEqual(dom.querySelector('mi').parent.name, 'math');
+    });
+
+    await t.test('tracks the namespace of foreign content', () => {
+        const dom = parser.parse('<svg><g></g><foreignObject><div></div></foreignObject></svg><div></div>');
+
+        assert.strictEqual(dom.querySelector('svg').namespace, 'svg');
+        assert.strictEqual(dom.querySelector('g').namespace, 'svg');
+        assert.strictEqual(dom.querySelector('foreignObject').namespace, 'svg');
+        assert.strictEqual(dom.querySelector('foreignObject div').namespace, 'html');
+        assert.strictEqual(dom.children[2].namespace, 'html');
+    });
+
+    await t.test('ignores the slash on HTML elements by default', () => {
+        const dom = parser.parse('<my-icon /><span>x</span>');
+
+        assert.strictEqual(dom.querySelector('span').parent.name, 'my-icon');
+    });
+
+    await t.test('honors the slash everywhere when enabled', () => {
+        const dom = parser.parse('<my-icon /><span>x</span>', { selfClosingTags: true });
+
+        assert.strictEqual(dom.querySelector('my-icon').selfClosing, true);
+        assert.strictEqual(dom.querySelector('span').parent, dom);
+        assert.strictEqual(dom.toHtml(), '<my-icon/><span>x</span>');
+    });
+
+    await t.test('parses title as markup inside SVG', () => {
+        const dom = parser.parse('<svg><title>A <tspan>B</tspan></title></svg>');
+
+        assert.strictEqual(dom.querySelector('tspan').parent.name, 'title');
+    });
+
+    await t.test('creates self-closing nodes', () => {
+        const dom = parser.parse('<svg></svg>');
+        const svg = dom.querySelector('svg');
+        const nodes = svg.createNode('circle', { r: '4' }, null, { selfClosing: true });
+
+        assert.strictEqual(nodes.length, 1);
+        svg.appendChild(...nodes);
+        assert.strictEqual(dom.toHtml(), '<svg><circle r="4"/></svg>');
+        assert.throws(() => {
+            nodes[0].insertAdjacentHTML('beforeend', '<title>x</title>');
+        }, /beforeend cannot be used on self-closing elements/);
+    });
+});
+
+test('SimpleHtmlParser - Template contents', async(t) => {
+    const parser = new SimpleHtmlParser();
+    const html = '<div class="card"><template id="row"><div class="card"><span>x</span></div></template></div>';
+
+    await t.test('parses template contents into a fragment', () => {
+        const template = parser.parse(html).querySelector('template');
+
+        assert.strictEqual(template.children.length, 0);
+        assert.strictEqual(template.content.type, 'fragment');
+        assert.strictEqual(template.content.host, template);
+        assert.strictEqual(template.content.parent, null);
+        assert.strictEqual(template.content.children[0].name, 'div');
+    });
+
+    await t.test('keeps template contents out of queries and iteration', () => {
+        const dom = parser.parse(html);
+
+        assert.strictEqual(dom.querySelectorAll('.card').length, 1);
+        assert.strictEqual(dom.querySelector('span'), null);
+        assert.strictEqual(dom.findAllByTag('span').length, 0);
+        assert.ok([...dom].every((node) => { return node.name !== 'span'; }));
+    });
+
+    await t.test('queries template contents explicitly', () => {
+        const { content } = parser.parse(html).querySelector('template');
+
+        assert.strictEqual(content.querySelectorAll('.card').length, 1);
+        assert.strictEqual(content.querySelector('span').children[0].content, 'x');
+        assert.strictEqual([...content].filter((node) => { return node.type === 'tag-open'; }).length, 2);
+    });
+
+    await t.test('serializes template contents in place', () => {
+        const dom = parser.parse(html);
+        const { content } = dom.querySelector('template');
+        content.querySelector('span').insertAdjacentHTML('afterend', '<b>y</b>');
+
+        assert.strictEqual(
+            dom.toHtml(),
+            '<div class="card"><template id="row"><div class="card"><span>x</span><b>y</b></div></template></div>'
+        );
+        assert.strictEqual(dom.querySelector('template').innerHtml(), '<div class="card"><span>x</span><b>y</b></div>');
+    });
+
+    await t.test('only leaves template contents at the closing template tag', () => {
+        const dom = parser.parse('<section><template><p>a</section><p>b</p></template></section>', { diagnostics: true });
+        const template = dom.querySelector('template');
+
+        assert.strictEqual(template.content.children.length, 3);
+        assert.strictEqual(dom.children[1].name, 'section');
+        assert.strictEqual(dom.diagnostics.errors[0].code, 'unmatched-closing-tag');
+    });
+
+    await t.test('handles nested templates', () => {
+        const dom = parser.parse('<template><template><i>x</i></template></template>');
+        const inner = dom.querySelector('template').content.querySelector('template');
+
+        assert.strictEqual(inner.content.children[0].name, 'i');
+        assert.strictEqual(dom.toHtml(), '<template><template><i>x</i></template></template>');
+    });
+
+    await t.test('can parse template contents as children', () => {
+        const dom = parser.parse(html, { templateContent: false });
+
+        assert.strictEqual(dom.querySelectorAll('.card').length, 2);
+        assert.strictEqual(dom.querySelector('template').content, '');
+    });
+});
+
+test('SimpleHtmlParser - Streaming', async(t) => {
+    const parser = new SimpleHtmlParser();
+    const html = '<!DOCTYPE html><html><head><style>p { color: red; }</style></head>' +
+        '<body><!-- note --><p class="a">one<p>two</p><jhp>// c\nx = 1;</jhp><br/></body></html>';
+
+    // Feeds the html in chunks of the given size
+    const streamInChunks = (size, options) => {
+        const stream = parser.createStream(options);
+        for (let i = 0; i < html.length; i += size) {
+            stream.write(html.substring(i, i + size));
+        }
+        return stream.end();
+    };
+
+    await t.test('builds the same tree as parse()', () => {
+        const expected = parser.parse(html).visualize({ returnString: true, showPosition: true });
+
+        for (const size of [1, 2, 3, 7, 16, html.length]) {
+            const dom = streamInChunks(size, { lossless: true });
+            assert.strictEqual(dom.visualize({ returnString: true, showPosition: true }), expected);
+            assert.strictEqual(dom.toString(), html);
+        }
+    });
+
+    await t.test('handles constructs split across chunks', () => {
+        const stream = parser.createStream();
+        stream.write('<div cla').write('ss="x">te').write('xt<!-').write('- c -').write('-><sty');
+        stream.write('le>a { b: c; }</st').write('yle></d');
+        const dom = stream.end('iv>');
+
+        const div = dom.querySelector('div.x');
+        assert.strictEqual(div.children[0].content, 'text');
+        assert.strictEqual(div.children[1].content, ' c ');
+        assert.strictEqual(dom.querySelector('style').cssFindRules('a').length, 1);
+        assert.strictEqual(dom.toHtml(), '<div class="x">text<style>\na {\n    b: c;\n}\n</style></div>');
+    });
+
+    await t.test('exposes the root while parsing', () => {
+        const stream = parser.createStream();
+        stream.write('<ul><li>a</li><li>b');
+
+        assert.strictEqual(stream.root.querySelectorAll('li').length, 1);
+        assert.strictEqual(stream.end('</li></ul>'), stream.root);
+        assert.strictEqual(stream.root.querySelectorAll('li').length, 2);
+    });
+
+    await t.test('recovers from unterminated input at the end', () => {
+        const stream = parser.createStream({ diagnostics: true });
+        stream.write('<p>x<!-- open');
+        const dom = stream.end();
+
+        assert.strictEqual(dom.diagnostics.errors[0].code, 'unclosed-comment');
+        assert.deepStrictEqual(dom.diagnostics, parser.parse('<p>x<!-- open', { diagnostics: true }).diagnostics);
+    });
+
+    await t.test('cannot be written to after end()', () => {
+        const stream = parser.createStream();
+        stream.end('<p></p>');
+
+        assert.throws(() => {
+            stream.write('<p></p>');
+        }, /after end\(\)/);
+    });
+});
+
+test('SimpleHtmlParser - Event API', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    // Records every event as "handler:detail"
+    const record = (html, options) => {
+        const events = [];
+        const handlers = {
+            onCdata: ({ content }) => { events.push(`cdata:${content}`); },
+            onCloseTag: ({ name }) => { events.push(`close:${name}`); },
+            onComment: ({ content }) => { events.push(`comment:${content}`); },
+            onDoctype: ({ name }) => { events.push(`doctype:${name}`); },
+            onOpenTag: ({ name, selfClosing }) => { events.push(`open:${name}${selfClosing ? '/' : ''}`); },
+            onProcessingInstruction: ({ target }) => { events.push(`pi:${target}`); },
+            onScriptComment: ({ content }) => { events.push(`script-comment:${content}`); },
+            onStyleBlock: ({ content }) => { events.push(`style:${content}`); },
+            onText: ({ content }) => { events.push(`text:${content}`); }
+        };
+        const completed = parser.parseEvents(html, handlers, options);
+        return { completed, events };
+    };
+
+    await t.test('emits events in source order', () => {
+        const { completed, events } = record('<!DOCTYPE html><p class="a">Hi<!-- c --></p><br>');
+
+        assert.strictEqual(completed, true);
+        assert.deepStrictEqual(events, ['doctype:html', 'open:p', 'text:Hi', 'comment: c ', 'close:p', 'open:br/']);
+    });
+
+    await t.test('reports void elements as self-closing', () => {
+        const { events } = record('<p>a<br>b<img src="x.png"></p>');
+
+        assert.deepStrictEqual(events, ['open:p', 'text:a', 'open:br/', 'text:b', 'open:img/', 'close:p']);
+    });
+
+    await t.test('passes attributes and positions', () => {
+        let event = null;
+        parser.parseEvents('\n<a href="/x" hidden>', {
+            onOpenTag: (tag) => { event = tag; }
+        });
+
+        assert.deepStrictEqual(event.attributes, { href: '/x', hidden: '__EMPVAL__' });
+        assert.strictEqual(event.namespace, 'html');
+        assert.strictEqual(event.position.start.line, 2);
+    });
+
+    await t.test('reports raw text, style blocks and script comments', () => {
+        const { events } = record('<style>p { color: red; }</style><textarea><b></textarea><jhp>x = 1; /* c */</jhp>');
+
+        assert.deepStrictEqual(events, [
+            'open:style', 'style:p { color: red; }', 'close:style',
+            'open:textarea', 'text:<b>', 'close:textarea',
+            'open:jhp', 'text:x = 1; ', 'script-comment: c ', 'close:jhp'
+        ]);
+    });
+
+    await t.test('follows foreign content rules', () => {
+        const { events } = record('<svg><circle/><title><b>x</b></title></svg><![CDATA[y]]><?xml version="1.0"?>');
+
+        assert.deepStrictEqual(events, [
+            'open:svg', 'open:circle/', 'open:title', 'open:b', 'text:x', 'close:b', 'close:title', 'close:svg',
+            'cdata:y', 'pi:xml'
+        ]);
+    });
+
+    await t.test('does not imply end tags', () => {
+        const { events } = record('<ul><li>a<li>b</ul>');
+
+        assert.deepStrictEqual(events, ['open:ul', 'open:li', 'text:a', 'open:li', 'text:b', 'close:ul']);
+    });
+
+    await t.test('stops when a handler returns false', () => {
+        const seen = [];
+        const completed = parser.parseEvents('<p>one</p><p>two</p><p>three</p>', {
+            onText: ({ content }) => {
+                seen.push(content);
+                return content !== 'two';
+            }
+        });
+
+        assert.strictEqual(completed, false);
+        assert.deepStrictEqual(seen, ['one', 'two']);
+    });
+});
+
+test('SimpleHtmlParser - Tokenizer', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    const summarize = (tokens) => {
+        return tokens.map((token) => {
+            return `${token.type}:${token.name ?? token.content ?? token.code}`;
+        });
+    };
+
+    await t.test('splits HTML into tokens without building a tree', () => {
+        const tokens = parser.tokenize('<!DOCTYPE html><ul><li class=a>one<li>two</ul><!-- c -->');
+
+        assert.deepStrictEqual(summarize(tokens), [
+            'doctype:html', 'startTag:ul', 'startTag:li', 'text:one', 'startTag:li', 'text:two',
+            'endTag:ul', 'comment: c '
+        ]);
+        assert.deepStrictEqual(tokens[2].attributes, { class: 'a' });
+        assert.strictEqual(tokens[2].raw, '<li class=a>');
+    });
+
+    await t.test('records token positions', () => {
+        const tokens = parser.tokenize('<p>\n  hi</p>');
+
+        assert.deepStrictEqual(tokens[1].position.start, { offset: 3, line: 1, column: 4 });
+        assert.deepStrictEqual(tokens[2].position, {
+            start: { offset: 8, line: 2, column: 5 },
+            end: { offset: 12, line: 2, column: 9 }
+        });
+    });
+
+    await t.test('reports raw text and script segments', () => {
+        const tokens = parser.tokenize('<style>p{}</style><jhp>a(); // note\n</jhp><textarea><b></textarea>');
+        const rawtext = tokens.filter((token) => { return token.type === 'rawtext'; });
+
+        assert.deepStrictEqual(rawtext.map((token) => { return [token.name, token.kind]; }), [
+            ['style', 'css'], ['jhp', 'script'], ['textarea', 'text']
+        ]);
+        assert.strictEqual(rawtext[2].content, '<b>');
+        assert.ok(rawtext[1].segments.some((segment) => {
+            return segment.type === 'comment' && segment.content === ' note';
+        }));
+    });
+
+    await t.test('keeps the syntactic self-closing flag and tracks namespaces', () => {
+        const tokens = parser.tokenize('<svg><style/><path/></svg><div/>');
+
+        assert.deepStrictEqual(summarize(tokens), [
+            'startTag:svg', 'startTag:style', 'startTag:path', 'endTag:svg', 'startTag:div'
+        ]);
+        assert.strictEqual(tokens[1].namespace, 'svg');
+        assert.strictEqual(tokens[4].namespace, 'html');
+        assert.strictEqual(tokens[4].selfClosing, true);
+    });
+
+    await t.test('includes diagnostics for malformed markup', () => {
+        const tokens = parser.tokenize('<p>a<!-- open');
+
+        assert.ok(tokens.some((token) => {
+            return token.type === 'diagnostic' && token.code === 'unclosed-comment';
+        }));
+    });
+
+    await t.test('produces the same tokens from chunked writes', () => {
+        const html = '<div id="x">text<!-- c --><jhp>if (a < b) {}</jhp></div>';
+        const tokens = [];
+        const tokenizer = new Tokenizer({ specialTags: ['jhp'] });
+        const collect = (token) => { tokens.push(token); };
+
+        for (let i = 0; i < html.length; i += 3) {
+            tokenizer.write(html.slice(i, i + 3), collect);
+        }
+        tokenizer.end(collect);
+
+        assert.deepStrictEqual(tokens, parser.tokenize(html));
+    });
+});
+
+test('SimpleHtmlParser - Character encodings', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    // "Привет" in KOI8-R
+    const koi8Word = [0xF0, 0xD2, 0xC9, 0xD7, 0xC5, 0xD4];
+    const koi8Bytes = (head) => {
+        return Uint8Array.from([...Buffer.from(`${head}<p>`, 'latin1'), ...koi8Word, ...Buffer.from('</p>')]);
+    };
+
+    await t.test('decodes UTF-8 bytes by default', () => {
+        const dom = parser.parse(Buffer.from('<p>café ✓</p>'));
+
+        assert.strictEqual(dom.encoding, 'utf-8');
+        assert.strictEqual(dom.querySelector('p').children[0].content, 'café ✓');
+    });
+
+    await t.test('records no encoding for string input', () => {
+        assert.strictEqual(parser.parse('<p>x</p>').encoding, null);
+    });
+
+    await t.test('detects a byte order mark', () => {
+        const bytes = Buffer.from('\uFEFF<p>hi</p>', 'utf16le');
+        const dom = parser.parse(bytes);
+
+        assert.strictEqual(dom.encoding, 'utf-16le');
+        assert.strictEqual(dom.toHtml(), '<p>hi</p>');
+    });
+
+    await t.test('detects a meta charset declaration', () => {
+        const dom = parser.parse(koi8Bytes('<meta charset="KOI8-R">'));
+
+        assert.strictEqual(dom.encoding, 'koi8-r');
+        assert.strictEqual(dom.querySelector('p').children[0].content, 'Привет');
+    });
+
+    await t.test('detects an http-equiv content-type declaration', () => {
+        const dom = parser.parse(koi8Bytes('<meta http-equiv="Content-Type" content="text/html; charset=koi8-r">'));
+
+        assert.strictEqual(dom.encoding, 'koi8-r');
+        assert.strictEqual(dom.querySelector('p').children[0].content, 'Привет');
+    });
+
+    await t.test('ignores declarations in comments and unknown labels', () => {
+        const dom = parser.parse(Buffer.from('<!-- <meta charset="koi8-r"> --><meta charset="bogus"><p>x</p>'));
+
+        assert.strictEqual(dom.encoding, 'utf-8');
+    });
+
+    await t.test('falls back to the encoding option', () => {
+        const dom = parser.parse(koi8Bytes(''), { encoding: 'koi8-r' });
+
+        assert.strictEqual(dom.encoding, 'koi8-r');
+        assert.strictEqual(dom.querySelector('p').children[0].content, 'Привет');
+    });
+
+    await t.test('serializes to bytes in the parsed encoding', () => {
+        const bytes = koi8Bytes('<meta charset="koi8-r">');
+        const dom = parser.parse(bytes);
+
+        assert.deepStrictEqual(dom.toBytes(), bytes);
+    });
+
+    await t.test('keeps meta declarations in sync with the output encoding', () => {
+        const dom = parser.parse(koi8Bytes('<meta http-equiv="Content-Type" content="text/html; charset=koi8-r">'));
+        const bytes = dom.toBytes({ encoding: 'utf-8' });
+
+        assert.strictEqual(
+            Buffer.from(bytes).toString(),
+            '<meta http-equiv="Content-Type" content="text/html; charset=utf-8"><p>Привет</p>'
+        );
+        assert.strictEqual(parser.parse(bytes).encoding, 'utf-8');
+    });
+
+    await t.test('leaves the tree unchanged', () => {
+        const dom = parser.parse(koi8Bytes(
+            '<meta charset="koi8-r"><meta http-equiv="Content-Type" content="text/html; charset=koi8-r">'
+        ));
+        const html = dom.toHtml();
+        dom.toBytes({ encoding: 'utf-8' });
+
+        assert.strictEqual(dom.toHtml(), html);
+        assert.strictEqual(dom.encoding, 'koi8-r');
+
+        const xml = parser.parse('<?xml version="1.0" encoding="koi8-r"?><a/>', { xml: true });
+        xml.toBytes({ encoding: 'utf-8' });
+        assert.strictEqual(xml.toHtml(), '<?xml version="1.0" encoding="koi8-r"?><a/>');
+    });
+
+    await t.test('leaves equivalent declarations untouched', () => {
+        const dom = parser.parse('<meta charset="UTF8"><p>x</p>');
+        dom.toBytes();
+
+        assert.strictEqual(dom.querySelector('meta').getAttribute('charset'), 'UTF8');
+    });
+
+    await t.test('writes unrepresentable characters as character references', () => {
+        const dom = parser.parse('<meta charset="utf-8"><p>☃ é</p>');
+        const bytes = dom.toBytes({ encoding: 'iso-8859-2' });
+
+        assert.strictEqual(Buffer.from(bytes).toString('latin1'), '<meta charset="iso-8859-2"><p>&#9731; é</p>');
+    });
+
+    await t.test('round trips UTF-16 output', () => {
+        const dom = parser.parse('<p>hi ✓</p>');
+        const reparsed = parser.parse(dom.toBytes({ encoding: 'utf-16be' }));
+
+        assert.strictEqual(reparsed.encoding, 'utf-16be');
+        assert.strictEqual(reparsed.toHtml(), '<p>hi ✓</p>');
+    });
+
+    await t.test('writes documents in multi-byte legacy encodings as UTF-8 by default', () => {
+        const shiftJis = Uint8Array.from([
+            ...Buffer.from('<meta charset="shift_jis"><p>'), 0x93, 0xFA, 0x96, 0x7B, ...Buffer.from('</p>')
+        ]);
+        const dom = parser.parse(shiftJis);
+
+        assert.strictEqual(dom.encoding, 'shift_jis');
+        assert.strictEqual(Buffer.from(dom.toBytes()).toString(), '<meta charset="utf-8"><p>日本</p>');
+        assert.strictEqual(dom.querySelector('meta').getAttribute('charset'), 'shift_jis');
+    });
+
+    await t.test('rejects unknown or unsupported encodings', () => {
+        const dom = parser.parse('<p>x</p>');
+
+        assert.throws(() => { dom.toBytes({ encoding: 'bogus' }); }, /Unknown character encoding/);
+        assert.throws(() => { dom.toBytes({ encoding: 'shift_jis' }); }, /not supported/);
+    });
+});
+
+test('SimpleHtmlParser - Template language regions', async(t) => {
+    const parser = new SimpleHtmlParser([], {
+        templateDelimiters: [['{{', '}}'], ['{{{', '}}}'], ['{%', '%}'], ['<%', '%>'], ['<?php', '?>']]
+    });
+
+    await t.test('keeps regions in text as opaque template nodes', () => {
+        const html = '<% if (a < b) { %><p>{{ name }}</p><% } %><?php echo "<b>"; ?>';
+        const dom = parser.parse(html);
+        const templates = dom.getNodesByType('template');
+
+        assert.deepStrictEqual(templates.map((node) => { return [node.delimiters, node.content]; }), [
+            [['<%', '%>'], ' if (a < b) { '],
+            [['{{', '}}'], ' name '],
+            [['<%', '%>'], ' } '],
+            [['<?php', '?>'], ' echo "<b>"; ']
+        ]);
+        assert.strictEqual(dom.querySelector('p').children[0].type, 'template');
+        assert.strictEqual(dom.querySelector('b'), null);
+        assert.strictEqual(dom.toHtml(), html);
+    });
+
+    await t.test('prefers the longest opening delimiter', () => {
+        const dom = parser.parse('<p>{{{ raw }}}</p>');
+        const [node] = dom.getNodesByType('template');
+
+        assert.deepStrictEqual(node.delimiters, ['{{{', '}}}']);
+        assert.strictEqual(node.content, ' raw ');
+    });
+
+    await t.test('keeps regions inside tags whole', () => {
+        const html = '<div class="{{#if a}}x{{/if}}" title="{{ t("a>b") }}" {{#if h}}hidden{{/if}}>y</div>';
+        const dom = parser.parse(html);
+        const div = dom.querySelector('div');
+
+        assert.strictEqual(div.getAttribute('class'), '{{#if a}}x{{/if}}');
+        assert.strictEqual(div.getAttribute('title'), '{{ t("a>b") }}');
+        assert.ok('{{#if h}}hidden{{/if}}' in div.attributes);
+        assert.strictEqual(div.children[0].content, 'y');
+        assert.strictEqual(dom.toHtml(), html);
+    });
+
+    await t.test('does not decode or escape regions in attribute values', () => {
+        const dom = parser.parse('<a href="{{ url &amp;&amp; x }}?a=1&amp;b=2">x</a>');
+        const link = dom.querySelector('a');
+
+        assert.strictEqual(link.getAttribute('href'), '{{ url &amp;&amp; x }}?a=1&b=2');
+
+        link.setAttribute('title', '{{ t("it") }} & "more"');
+        assert.strictEqual(link.attributes.title, '{{ t("it") }} &amp; &quot;more&quot;');
+    });
+
+    await t.test('keeps styles containing regions as text', () => {
+        const html = '<style>a { color: {{ c }} }</style><style>{% if x %}p { margin: 0 }{% endif %}</style>';
+        const dom = parser.parse(html);
+        const [style] = dom.findAllByTag('style');
+
+        assert.strictEqual(style.styleBlock, undefined);
+        assert.strictEqual(style.children[0].type, 'text');
+        assert.strictEqual(style.children[0].content, 'a { color: {{ c }} }');
+        assert.strictEqual(dom.toHtml(), html);
+        assert.strictEqual(parser.parse('<style>a { color: red }</style>').querySelector('style').styleBlock, true);
+    });
+
+    await t.test('skips regions in selectors', () => {
+        const dom = parser.parse('<ul>{% for x in y %}<li>{{ x }}</li>{% endfor %}</ul>');
+
+        assert.strictEqual(dom.querySelectorAll('li').length, 1);
+        assert.strictEqual(dom.querySelectorAll('ul li').length, 1);
+        assert.strictEqual(dom.findAllByTag('for').length, 0);
+    });
+
+    await t.test('reports unclosed regions', () => {
+        const dom = parser.parse('<p>{{ name</p>', { diagnostics: true });
+
+        assert.strictEqual(dom.diagnostics.errors[0].code, 'unclosed-template');
+        assert.strictEqual(dom.toHtml(), '<p>{{ name</p>');
+    });
+
+    await t.test('treats delimiters as text when not configured', () => {
+        const dom = new SimpleHtmlParser().parse('<p>{{ a }}</p>');
+
+        assert.strictEqual(dom.getNodesByType('template').length, 0);
+        assert.strictEqual(dom.querySelector('p').children[0].content, '{{ a }}');
+    });
+
+    await t.test('works with streams, events and tokens', () => {
+        const html = '<div title="{{ "}" }}">{% if a %}<b>x</b>{% endif %}</div>';
+        const stream = parser.createStream();
+        for (const char of html) {
+            stream.write(char);
+        }
+        const templates = [];
+        parser.parseEvents(html, { onTemplate: ({ content }) => { templates.push(content); } });
+
+        assert.strictEqual(stream.end().toHtml(), html);
+        assert.deepStrictEqual(templates, [' if a ', ' endif ']);
+        assert.deepStrictEqual(parser.tokenize(html).map((token) => { return token.type; }), [
+            'startTag', 'template', 'startTag', 'text', 'endTag', 'template', 'endTag'
+        ]);
+    });
+});
+
+test('SimpleHtmlParser - Fragment parsing', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('returns a fragment of the parsed nodes', () => {
+        const fragment = parser.parseFragment('<li>a<li>b', null, { diagnostics: true });
+
+        assert.strictEqual(fragment.type, 'fragment');
+        assert.strictEqual(fragment.parent, null);
+        assert.deepStrictEqual(fragment.children.map((node) => { return node.name; }), ['li', 'li']);
+        assert.strictEqual(fragment.toHtml(), '<li>a<li>b');
+        assert.deepStrictEqual(fragment.diagnostics, { errors: [], warnings: [] });
+    });
+
+    await t.test('reads the content of raw text contexts as text', () => {
+        const dom = parser.parse('<script></script><textarea></textarea><jhp></jhp>');
+        const [script, textarea, jhp] = dom.querySelectorAll('script, textarea, jhp');
+
+        const scriptFragment = parser.parseFragment('if (a < b) { x = "</p>"; }', script);
+        assert.strictEqual(scriptFragment.children.length, 1);
+        assert.strictEqual(scriptFragment.children[0].content, 'if (a < b) { x = "</p>"; }');
+
+        assert.strictEqual(parser.parseFragment('<b>x</b>', textarea).children[0].type, 'text');
+
+        const jhpFragment = parser.parseFragment('a(); /* note */', jhp);
+        assert.deepStrictEqual(jhpFragment.children.map((node) => { return node.type; }), ['text', 'comment']);
+    });
+
+    await t.test('parses CSS for style contexts', () => {
+        const dom = parser.parse('<style></style>');
+        const fragment = parser.parseFragment('p { color: red; }', dom.querySelector('style'));
+
+        assert.strictEqual(fragment.children[0].type, 'css-rule');
+        assert.strictEqual(fragment.toHtml(), 'p {\n    color: red;\n}\n');
+    });
+
+    await t.test('uses the namespace of foreign contexts', () => {
+        const dom = parser.parse('<svg></svg><math></math><svg><foreignObject></foreignObject></svg>');
+        const svg = dom.querySelector('svg');
+        const math = dom.querySelector('math');
+        const foreignObject = dom.querySelector('foreignObject');
+
+        const inSvg = parser.parseFragment('<path/><style>a{}</style><p>x</p>', svg);
+        assert.strictEqual(inSvg.children[0].namespace, 'svg');
+        assert.strictEqual(inSvg.children[0].selfClosing, true);
+        assert.strictEqual(inSvg.children[1].styleBlock, true);
+
+        assert.strictEqual(parser.parseFragment('<mi/>', math).children[0].namespace, 'mathml');
+        assert.strictEqual(parser.parseFragment('<div/>', foreignObject).children[0].namespace, 'html');
+    });
+
+    await t.test('parses ordinary content without a context', () => {
+        const dom = parser.parse('<div></div>');
+
+        assert.strictEqual(parser.parseFragment('<path/>x', dom).children[0].selfClosing, false);
+        assert.strictEqual(parser.parseFragment('<b>x</b>', dom.querySelector('div')).children[0].name, 'b');
+    });
+});
+
+test('SimpleHtmlParser - XML mode', async(t) => {
+    const parser = new SimpleHtmlParser(['jhp', 's_'], { xml: true });
+
+    await t.test('keeps names case-sensitive and lets any element close itself', () => {
+        const xml = '<urlset><url><loc>https://a.test/</loc><Loc/></url><br/><image></image></urlset>';
+        const dom = parser.parse(xml);
+
+        assert.strictEqual(dom.xml, true);
+        assert.strictEqual(dom.toHtml(), xml);
+        assert.strictEqual(dom.querySelector('Loc').selfClosing, true);
+        assert.strictEqual(dom.querySelector('loc').name, 'loc');
+        assert.strictEqual(dom.querySelector('br').selfClosing, true);
+        assert.strictEqual(dom.querySelector('image').children.length, 0);
+    });
+
+    await t.test('parses the content of script, style and special tags as markup', () => {
+        const dom = parser.parse('<svg><style><![CDATA[a > b {}]]></style><script>x &lt; 1</script><jhp><b/></jhp></svg>');
+
+        assert.strictEqual(dom.querySelector('style').children[0].type, 'cdata');
+        assert.strictEqual(dom.querySelector('style').styleBlock, undefined);
+        assert.strictEqual(dom.querySelector('script').children[0].textContent, 'x < 1');
+        assert.strictEqual(dom.querySelector('jhp').children[0].name, 'b');
+    });
+
+    await t.test('resolves namespaces from xmlns declarations', () => {
+        const dom = parser.parse(
+            '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">' +
+            '<media:content url="a.jpg"/><div xmlns=""/></feed>'
+        );
+
+        assert.strictEqual(dom.querySelector('feed').namespace, 'http://www.w3.org/2005/Atom');
+        assert.strictEqual(dom.children[0].children[0].namespace, 'http://search.yahoo.com/mrss/');
+        assert.strictEqual(dom.querySelector('div').namespace, null);
+    });
+
+    await t.test('keeps the XML declaration as a processing instruction', () => {
+        const dom = parser.parse('<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0"/>');
+
+        assert.strictEqual(dom.children[0].type, 'processing-instruction');
+        assert.strictEqual(dom.children[0].target, 'xml');
+        assert.strictEqual(dom.children[0].content, 'version="1.0" encoding="UTF-8"');
+    });
+
+    await t.test('throws a ParseError for malformed XML', () => {
+        const cases = [
+            ['<a><b></a>', 'unmatched-closing-tag'],
+            ['<a></A>', 'unmatched-closing-tag'],
+            ['<a>', 'unclosed-element'],
+            ['<a checked/>', 'invalid-attribute'],
+            ['<a x=1/>', 'invalid-attribute'],
+            ['<a x="1" x="2"/>', 'duplicate-attribute'],
+            ['<a>1 < 2</a>', 'unescaped-less-than'],
+            ['<r a="<"/>', 'unescaped-less-than'],
+            ['<r>a & b</r>', 'unescaped-ampersand'],
+            ['<r>&amp</r>', 'unescaped-ampersand'],
+            ['<r a="x & y"/>', 'unescaped-ampersand'],
+            ['<r>&nbsp;</r>', 'undefined-entity'],
+            ['<r a="&bogus;"/>', 'undefined-entity'],
+            ['<r>&#0;</r>', 'invalid-character-reference'],
+            ['<a><!-- x</a>', 'unclosed-comment'],
+            ['<x:a/>', 'unbound-namespace-prefix'],
+            ['<a/><b/>', 'content-outside-root'],
+            ['text<a/>', 'content-outside-root'],
+            ['<!-- only a comment -->', 'missing-root-element'],
+            ['<a/><?xml version="1.0"?>', 'misplaced-xml-declaration']
+        ];
+
+        for (const [xml, code] of cases) {
+            assert.throws(() => { parser.parse(xml); }, (error) => {
+                return error instanceof ParseError && error.code === code;
+            }, xml);
+        }
+    });
+
+    await t.test('reports where the problem is', () => {
+        assert.throws(() => { parser.parse('<a>\n  <b></c></a>'); }, (error) => {
+            assert.strictEqual(error.position.start.line, 2);
+            assert.strictEqual(error.position.start.column, 6);
+            assert.match(error.message, /line 2, column 6/);
+            return true;
+        });
+    });
+
+    await t.test('accepts well-formed references and references in CDATA, comments and templates', () => {
+        const templated = new SimpleHtmlParser([], { templateDelimiters: [['{{', '}}']], xml: true });
+
+        assert.doesNotThrow(() => { parser.parse('<r a="&lt;&#60;">&amp;&#x26;&apos;<!-- & --><![CDATA[& <]]></r>'); });
+        assert.doesNotThrow(() => { templated.parse('<r a="{{ a && b < c }}">{{ x && y }}</r>'); });
+    });
+
+    await t.test('reads past an internal doctype subset and accepts the entities it declares', () => {
+        const xml = '<?xml version="1.0"?><!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" ' +
+            '"http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd" [<!ENTITY ns_svg "http://www.w3.org/2000/svg">' +
+            '<!-- "]>" -->]><svg xmlns="&ns_svg;"><text>&ns_svg;</text></svg>';
+        const dom = parser.parse(xml);
+        const doctype = dom.children[1];
+
+        assert.strictEqual(doctype.type, 'doctype');
+        assert.strictEqual(doctype.publicId, '-//W3C//DTD SVG 1.1//EN');
+        assert.strictEqual(doctype.systemId, 'http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd');
+        assert.strictEqual(dom.querySelector('text').textContent, '&ns_svg;');
+        assert.strictEqual(dom.toHtml(), xml);
+        assert.throws(() => { parser.parse('<!DOCTYPE r [<!ENTITY a "x">]><r>&b;</r>'); }, (error) => {
+            return error instanceof ParseError && error.code === 'undefined-entity';
+        });
+    });
+
+    await t.test('decodes only the predefined entities and numeric references', () => {
+        const dom = parser.parse('<r a="&quot;&#x41;&apos;">&lt;b&gt; &amp;amp; &#169;</r>');
+        const root = dom.querySelector('r');
+
+        assert.strictEqual(root.textContent, '<b> &amp; \u00A9');
+        assert.strictEqual(root.getAttribute('a'), '"A\'');
+
+        root.setAttribute('b', '&nbsp;');
+        root.children[0].content = '&nbsp;&copy;';
+        assert.strictEqual(root.getAttribute('b'), '&nbsp;');
+        assert.strictEqual(root.textContent, '&nbsp;&copy;');
+    });
+
+    await t.test('can be enabled per call', () => {
+        const htmlParser = new SimpleHtmlParser();
+
+        assert.strictEqual(htmlParser.parse('<Br/>text', { xml: false }).children.length, 2);
+        assert.throws(() => { htmlParser.parse('<a><br></a>', { xml: true }); }, ParseError);
+    });
+
+    await t.test('reads the encoding from the XML declaration of bytes', () => {
+        const bytes = Buffer.from('<?xml version="1.0" encoding="koi8-r"?><a>\xf0\xd2\xc9</a>', 'latin1');
+        const dom = parser.parse(bytes);
+
+        assert.strictEqual(dom.encoding, 'koi8-r');
+        assert.strictEqual(dom.querySelector('a').children[0].content, '\u041f\u0440\u0438');
+
+        const utf8 = new TextDecoder().decode(dom.toBytes({ encoding: 'utf-8' }));
+        assert.strictEqual(utf8, '<?xml version="1.0" encoding="utf-8"?><a>\u041f\u0440\u0438</a>');
+    });
+
+    await t.test('parses inserted markup as XML in the namespaces of its context', () => {
+        const dom = parser.parse('<r xmlns:x="urn:x"><item/></r>');
+        const r = dom.querySelector('r');
+
+        r.insertAdjacentHTML('beforeend', '<x:a><br/></x:a>');
+        assert.strictEqual(dom.toHtml(), '<r xmlns:x="urn:x"><item/><x:a><br/></x:a></r>');
+        assert.strictEqual(r.children[1].namespace, 'urn:x');
+        assert.strictEqual(r.createNode('br').length, 2);
+    });
+
+    await t.test('tokenizes XML with resolved namespaces', () => {
+        const tokens = parser.tokenize('<a xmlns="urn:a"><B/></a>').filter((token) => {
+            return token.type === 'startTag';
+        });
+
+        assert.deepStrictEqual(
+            tokens.map((token) => { return [token.name, token.namespace, token.selfClosing]; }),
+            [['a', 'urn:a', false], ['B', 'urn:a', true]]
+        );
+    });
+});
+
+test('Node - toXml', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('writes HTML as well-formed XHTML', () => {
+        const dom = parser.parse('<!doctype html><p class=a hidden>A&nbsp;B &copy; 1<br><img src="a.png"></p></div>');
+
+        assert.strictEqual(
+            dom.toXml(),
+            '<!DOCTYPE html><p xmlns="http://www.w3.org/1999/xhtml" class="a" hidden="">' +
+            'A\u00A0B \u00A9 1<br/><img src="a.png"/></p>'
+        );
+    });
+
+    await t.test('closes elements left open', () => {
+        const dom = parser.parse('<ul><li>One<li>Two</ul>');
+
+        assert.strictEqual(
+            dom.querySelector('ul').toXml(),
+            '<ul xmlns="http://www.w3.org/1999/xhtml"><li>One</li><li>Two</li></ul>'
+        );
+    });
+
+    await t.test('escapes literal text and declares foreign namespaces', () => {
+        const dom = parser.parse('<div><script>if (a < b && c) {}</script><svg><circle r="1"/></svg></div>');
+
+        assert.strictEqual(
+            dom.toXml(),
+            '<div xmlns="http://www.w3.org/1999/xhtml"><script>if (a &lt; b &amp;&amp; c) {}</script>' +
+            '<svg xmlns="http://www.w3.org/2000/svg"><circle r="1"/></svg></div>'
+        );
+    });
+
+    await t.test('keeps XML documents as they are', () => {
+        const xmlParser = new SimpleHtmlParser([], { xml: true });
+        const xml = '<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"><title>A &amp; B</title><link/></feed>';
+
+        assert.strictEqual(xmlParser.parse(xml).toXml(), xml);
+    });
+});
+
+test('SimpleHtmlParser - Resource limits', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    // Runs a parse that is expected to exceed a limit and returns the error it threw
+    const exceed = (parse) => {
+        try {
+            parse();
+        } catch (error) {
+            return error;
+        }
+        return assert.fail('Expected a ParseLimitError');
+    };
+
+    await t.test('is unlimited by default', () => {
+        const dom = parser.parse('<div>'.repeat(2000));
+
+        assert.deepStrictEqual(parser.getOptions().limits, {
+            maxAttributeLength: Infinity,
+            maxAttributes: Infinity,
+            maxDepth: Infinity,
+            maxInputLength: Infinity,
+            maxNodes: Infinity
+        });
+        assert.strictEqual(dom.querySelectorAll('div').length, 2000);
+    });
+
+    await t.test('throws a ParseLimitError for input that is too long', () => {
+        const error = exceed(() => { return parser.parse('<p>Hello</p>', { limits: { maxInputLength: 10 } }); });
+
+        assert.ok(error instanceof ParseLimitError);
+        assert.ok(error instanceof ParseError);
+        assert.strictEqual(error.code, 'limit-exceeded');
+        assert.strictEqual(error.limit, 'maxInputLength');
+        assert.strictEqual(error.max, 10);
+        assert.strictEqual(error.position, null);
+    });
+
+    await t.test('limits nesting depth', () => {
+        const limited = new SimpleHtmlParser([], { limits: { maxDepth: 3 } });
+        const error = exceed(() => { return limited.parse('<div><div><div><div></div></div></div></div>'); });
+
+        assert.strictEqual(error.limit, 'maxDepth');
+        assert.strictEqual(error.position.start.offset, 15);
+        assert.match(error.message, /maxDepth limit of 3 \(line 1, column 16\)/);
+
+        // Closed elements and void elements do not add to the depth
+        assert.doesNotThrow(() => { limited.parse('<div><p><b></b><i><br></i></p></div>'.repeat(50)); });
+    });
+
+    await t.test('limits the number of nodes', () => {
+        const limits = { maxNodes: 6 };
+
+        assert.doesNotThrow(() => { parser.parse('<p>a</p><p>b</p>', { limits }); });
+        assert.strictEqual(exceed(() => { return parser.parse('<p>a</p><p>b</p>!', { limits }); }).limit, 'maxNodes');
+        assert.strictEqual(
+            exceed(() => { return parser.parse('<style>a{} b{} c{} d{} e{}</style>', { limits }); }).limit,
+            'maxNodes'
+        );
+    });
+
+    await t.test('limits attributes per element and their length', () => {
+        const limits = { maxAttributeLength: 8, maxAttributes: 2 };
+
+        assert.doesNotThrow(() => { parser.parse('<a href="/a" hidden HIDDEN>', { limits }); });
+        assert.strictEqual(exceed(() => { return parser.parse('<a b c d>', { limits }); }).limit, 'maxAttributes');
+        assert.strictEqual(
+            exceed(() => { return parser.parse('<a title="123456789">', { limits }); }).limit,
+            'maxAttributeLength'
+        );
+        assert.strictEqual(
+            exceed(() => { return parser.tokenize('<a data-too-long>', { limits }); }).limit,
+            'maxAttributeLength'
+        );
+    });
+
+    await t.test('merges limits passed to a call over the parser limits', () => {
+        const limited = new SimpleHtmlParser([], { limits: { maxDepth: 1, maxNodes: 100 } });
+
+        assert.doesNotThrow(() => { limited.parse('<div><p></p></div>', { limits: { maxDepth: 2 } }); });
+        assert.strictEqual(
+            exceed(() => { return limited.parse('<b></b>'.repeat(51), { limits: { maxDepth: 2 } }); }).limit,
+            'maxNodes'
+        );
+    });
+
+    await t.test('keeps parser limits and options a call leaves undefined', () => {
+        const limited = new SimpleHtmlParser([], { limits: { maxDepth: 1 } });
+        const error = exceed(() => { return limited.parse('<div><p></p></div>', { limits: { maxDepth: undefined } }); });
+
+        assert.strictEqual(error.limit, 'maxDepth');
+        assert.strictEqual(error.max, 1);
+        assert.strictEqual(parser.parse('<p>a<p>b', { impliedEndTags: undefined }).children.length, 2);
+    });
+
+    await t.test('aborts streams once the input is too long', () => {
+        const stream = parser.createStream({ limits: { maxInputLength: 8 } });
+        stream.write('<p>one');
+
+        assert.throws(() => { stream.write('</p>'); }, ParseLimitError);
+    });
+
+    await t.test('keeps the rest of the input as text after an unterminated construct', () => {
+        const inputs = ['<p>a<!-- b <i>c</i>', '<p>a<div title="b>c</div>', '<p>a</p', '<p>a<!DOCTYPE b "'];
+
+        for (const html of inputs) {
+            const dom = parser.parse(html, { diagnostics: true });
+            const p = dom.querySelector('p');
+
+            assert.strictEqual(dom.toHtml(), html);
+            assert.strictEqual(p.children[p.children.length - 1].content, html.slice(4));
+            assert.strictEqual(dom.diagnostics.errors.length, 1);
+        }
+    });
+
+    await t.test('tokenizes and builds trees in linear time', () => {
+        const n = 20000;
+        const inputs = [
+            '<a'.repeat(n),
+            '<!--'.repeat(n),
+            '<!DOCTYPE "'.repeat(n),
+            '<div>'.repeat(n) + '</span>'.repeat(n),
+            '<p><button>' + '<span>'.repeat(n) + '<div></div>'.repeat(n),
+            '<b></b>'.repeat(n * 5)
+        ];
+
+        for (const html of inputs) {
+            const start = Date.now();
+            parser.parse(html);
+            parser.parseEvents(html, {});
+            assert.ok(Date.now() - start < 3000, `${html.slice(0, 20)}... took ${Date.now() - start} ms`);
+        }
+    });
+});
@@ -149,6 +149,101 @@ test('Node - querySelectorAll', async(t) => {
         const items = dom.querySelectorAll('li');
         assert.strictEqual(items.length, 3);
     });
+
+    await t.test('compares attribute values', () => {
+        const dom = parser.parse('<a href="https://a.test/x.pdf" class="btn big" lang="en-US" rel="a=b">x</a>');
+        const count = (selector) => { return dom.querySelectorAll(selector).length; };
+
+        assert.strictEqual(count('[class~="big"]'), 1);
+        assert.strictEqual(count('[class~="bi"]'), 0);
+        assert.strictEqual(count('[href^="https:"]'), 1);
+        assert.strictEqual(count('[href$=".pdf"]'), 1);
+        assert.strictEqual(count('[href*="a.test"]'), 1);
+        assert.strictEqual(count('[lang|="en"]'), 1);
+        assert.strictEqual(count('[lang|="e"]'), 0);
+        assert.strictEqual(count('[rel="a=b"]'), 1);
+        assert.strictEqual(count('[href^=""]'), 0);
+    });
+
+    await t.test('never matches template regions in attribute values', () => {
+        const templated = new SimpleHtmlParser([], { templateDelimiters: [['{{', '}}']] });
+        const dom = templated.parse(
+            '<div class="{{ a }} b btn-{{ size }}" data-x="{{y}}" data-y="pre-{{ z }}-post" data-z="x {{ w }}"></div>'
+        );
+        const count = (selector) => { return dom.querySelectorAll(selector).length; };
+
+        assert.strictEqual(count('.a'), 0);
+        assert.strictEqual(count('.b'), 1);
+        assert.strictEqual(count('.btn-'), 0);
+        assert.strictEqual(count('[data-x="{{y}}"]'), 0);
+        assert.strictEqual(count('[data-x="y"]'), 0);
+        assert.strictEqual(count('[data-x=""]'), 0);
+        assert.strictEqual(count('[data-z~="x"]'), 1);
+        assert.strictEqual(count('[data-z~="w"]'), 0);
+        assert.strictEqual(count('[data-y^="pre-"]'), 1);
+        assert.strictEqual(count('[data-y^="pre-{{"]'), 0);
+        assert.strictEqual(count('[data-y*="z"]'), 0);
+        assert.strictEqual(count('[data-y$="-post"]'), 1);
+        assert.strictEqual(dom.querySelector('div').matches('.a'), false);
+    });
+});
+
+test('Node - matches/closest', async(t) => {
+    const parser = new SimpleHtmlParser();
+    const html = '<nav class="top"><ul><li><a id="home" class="active" href="/">Home</a></li></ul></nav><a id="other">x</a>';
+
+    await t.test('matches checks basic and descendant selectors against one element', () => {
+        const dom = parser.parse(html);
+        const link = dom.querySelector('#home');
+
+        assert.ok(link.matches('a'));
+        assert.ok(link.matches('a.active[href="/"]'));
+        assert.ok(link.matches('nav a'));
+        assert.ok(link.matches('nav.top ul li a.active'));
+        assert.ok(!link.matches('ul nav a'));
+        assert.ok(!link.matches('a a'));
+        assert.ok(!dom.querySelector('#other').matches('nav a'));
+    });
+
+    await t.test('matches agrees with querySelectorAll', () => {
+        const dom = parser.parse(html);
+        const selectors = ['a', 'nav a', 'li a', '.active', 'a:not(.active)', 'ul, a#other', '[href]', ':not(li)'];
+
+        for (const node of dom.findAllByType('tag-open')) {
+            for (const selector of selectors) {
+                assert.strictEqual(node.matches(selector), dom.querySelectorAll(selector).includes(node), selector);
+            }
+        }
+    });
+
+    await t.test('matches supports the child combinator', () => {
+        const dom = parser.parse(html);
+        const link = dom.querySelector('#home');
+
+        assert.ok(link.matches('li > a'));
+        assert.ok(link.matches('ul > li > a'));
+        assert.ok(link.matches('nav > ul a'));
+        assert.ok(!link.matches('nav > a'));
+    });
+
+    await t.test('matches is false for nodes other than elements', () => {
+        const dom = parser.parse(html);
+        const link = dom.querySelector('#home');
+
+        assert.strictEqual(link.children[0].matches('a'), false);
+        assert.strictEqual(dom.matches(':not(a)'), false);
+    });
+
+    await t.test('closest finds the node itself or its nearest matching ancestor', () => {
+        const dom = parser.parse(html);
+        const link = dom.querySelector('#home');
+
+        assert.strictEqual(link.closest('a'), link);
+        assert.strictEqual(link.closest('ul, nav'), dom.querySelector('ul'));
+        assert.strictEqual(link.closest('.top'), dom.querySelector('nav'));
+        assert.strictEqual(link.children[0].closest('li'), dom.querySelector('li'));
+        assert.strictEqual(link.closest('section'), null);
+    });
 });
 
 test('Node - findAll methods', async(t) => {
@@ -228,6 +323,278 @@ test('Node - getAttribute/setAttribute', async(t) => {
     });
 });
 
+test('Node - Character references', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('getAttribute decodes named and numeric references', () => {
+        const dom = parser.parse('<a href="/q?a=1&amp;b=2" title="&lt;it&#x27;s&#39;&gt;&nbsp;&hearts;">x</a>');
+        const link = dom.querySelector('a');
+
+        assert.strictEqual(link.getAttribute('href'), '/q?a=1&b=2');
+        assert.strictEqual(link.getAttribute('title'), "<it's'> ♥");
+    });
+
+    await t.test('decodes legacy references without a semicolon like a browser', () => {
+        const dom = parser.parse('<a href="?x=1&copy=2" title="&copy 2024 &notit; &bogus;">&copy 2024 &notit;</a>');
+        const link = dom.querySelector('a');
+
+        assert.strictEqual(link.getAttribute('href'), '?x=1&copy=2');
+        assert.strictEqual(link.getAttribute('title'), '© 2024 &notit; &bogus;');
+        assert.strictEqual(link.children[0].textContent, '© 2024 ¬it;');
+    });
+
+    await t.test('replaces invalid numeric references', () => {
+        const dom = parser.parse('<p>&#0;&#x110000;&#xD800;&#128;&#150;</p>');
+
+        assert.strictEqual(dom.querySelector('p').children[0].textContent, '\uFFFD\uFFFD\uFFFD€–');
+    });
+
+    await t.test('setAttribute escapes values', () => {
+        const dom = parser.parse('<div></div>');
+        const div = dom.querySelector('div');
+
+        div.setAttribute('title', 'Tom & "Jerry"');
+
+        assert.strictEqual(div.getAttribute('title'), 'Tom & "Jerry"');
+        assert.strictEqual(dom.toHtml(), '<div title="Tom &amp; &quot;Jerry&quot;"></div>');
+    });
+
+    await t.test('keeps the original spelling of unchanged values', () => {
+        const html = '<a title="&#x26; &AMP; &apos;">&#60;b&#62; &amp</a>';
+        const dom = parser.parse(html);
+        const link = dom.querySelector('a');
+
+        link.setAttribute('title', link.getAttribute('title'));
+        link.children[0].textContent = link.children[0].textContent;
+
+        assert.strictEqual(dom.toHtml(), html);
+    });
+
+    await t.test('textContent reads and writes text nodes', () => {
+        const dom = parser.parse('<p>Fish &amp; Chips</p>');
+        const text = dom.querySelector('p').children[0];
+
+        assert.strictEqual(text.content, 'Fish &amp; Chips');
+        assert.strictEqual(text.textContent, 'Fish & Chips');
+
+        text.textContent = '<b>Salt & Vinegar</b>';
+
+        assert.strictEqual(dom.toHtml(), '<p>&lt;b&gt;Salt &amp; Vinegar&lt;/b&gt;</p>');
+        assert.strictEqual(dom.querySelector('b'), null);
+    });
+
+    await t.test('textContent does not decode or escape literal text', () => {
+        const dom = parser.parse('<script>a &amp;&amp; b</script><jhp>if (a < b) {}</jhp><textarea>&lt;b&gt;</textarea>');
+        const [script, jhp, textarea] = dom.querySelectorAll('script, jhp, textarea');
+
+        assert.strictEqual(script.children[0].textContent, 'a &amp;&amp; b');
+        assert.strictEqual(textarea.children[0].textContent, '<b>');
+
+        jhp.children[0].textContent = 'if (a && b) {}';
+        assert.ok(dom.toHtml().includes('<jhp>if (a && b) {}</jhp>'));
+    });
+
+    await t.test('textContent of other node types', () => {
+        const dom = parser.parse('<!DOCTYPE html><p>x</p><!-- a &amp; b -->');
+        const p = dom.querySelector('p');
+        const closing = p.parent.children[p.parent.children.indexOf(p) + 1];
+
+        assert.strictEqual(dom.children[0].textContent, null);
+        assert.strictEqual(closing.textContent, null);
+        assert.strictEqual(dom.children[dom.children.length - 1].textContent, ' a &amp; b ');
+        assert.throws(() => { closing.textContent = 'y'; }, /can only be set/);
+    });
+
+    await t.test('textContent of elements joins the text of their descendants', () => {
+        const dom = parser.parse('<div>Fish <!-- no --><b>&amp;</b> <i>Chips</i><br></div>');
+
+        assert.strictEqual(dom.querySelector('div').textContent, 'Fish & Chips');
+        assert.strictEqual(dom.textContent, 'Fish & Chips');
+    });
+
+    await t.test('textContent of script and style blocks', () => {
+        const blocks = new SimpleHtmlParser(['script', 'style']);
+        const dom = blocks.parse('<script>// setup\nlet a = 1; /* b */</script><style>p { color: red; }</style>');
+
+        assert.strictEqual(dom.querySelector('script').textContent, '// setup\nlet a = 1; /* b */');
+        assert.strictEqual(dom.querySelector('style').textContent, '\np {\n    color: red;\n}\n');
+    });
+
+    await t.test('setting textContent replaces children with escaped text', () => {
+        const dom = parser.parse('<div><p>One</p><p>Two</p></div><span>x</span>');
+        const div = dom.querySelector('div');
+
+        div.textContent = '<b>Salt & Vinegar</b>';
+
+        assert.strictEqual(dom.toHtml(), '<div>&lt;b&gt;Salt &amp; Vinegar&lt;/b&gt;</div><span>x</span>');
+        assert.strictEqual(div.children.length, 1);
+        assert.strictEqual(div.children[0].parent, div);
+        assert.strictEqual(div.textContent, '<b>Salt & Vinegar</b>');
+
+        div.textContent = '';
+        assert.strictEqual(dom.toHtml(), '<div></div><span>x</span>');
+    });
+
+    await t.test('setting textContent of script and style blocks parses the text', () => {
+        const blocks = new SimpleHtmlParser(['script', 'style']);
+        const dom = blocks.parse('<script>old();</script><style>p { color: red; }</style>');
+        const [script, style] = dom.querySelectorAll('script, style');
+
+        script.textContent = 'if (a < b) {} // done';
+        style.textContent = 'a { color: blue; }';
+
+        assert.strictEqual(dom.toHtml(true), '<script>if (a < b) {} // done</script><style>a { color: blue; }</style>');
+        assert.deepStrictEqual(script.children.map((child) => { return child.type; }), ['text', 'comment']);
+        assert.strictEqual(style.cssFindRules('a').length, 1);
+    });
+
+    await t.test('setting textContent of a style block without a parser keeps the CSS as text', () => {
+        const dom = parser.parse('<style>p { color: red; }</style>');
+        const style = dom.querySelector('style');
+        dom.parser = null;
+
+        style.textContent = 'a > b { color: blue; }';
+
+        assert.strictEqual(style.styleBlock, false);
+        assert.strictEqual(dom.children[1].styleBlock, false);
+        assert.strictEqual(style.children[0].type, 'text');
+        assert.strictEqual(dom.toHtml(), '<style>a > b { color: blue; }</style>');
+    });
+
+    await t.test('setting textContent and innerText of a template replaces its contents', () => {
+        const dom = parser.parse('<template><p>Old</p></template>');
+        const template = dom.querySelector('template');
+
+        template.textContent = 'a < b';
+        assert.strictEqual(dom.toHtml(), '<template>a &lt; b</template>');
+        assert.strictEqual(template.children.length, 0);
+        assert.strictEqual(template.content.children[0].parent, template.content);
+
+        template.innerText = '';
+        assert.strictEqual(dom.toHtml(), '<template></template>');
+    });
+
+    await t.test('setting textContent of void elements throws', () => {
+        const dom = parser.parse('<p>a<br>b<img src="x.png"/></p>');
+
+        assert.throws(() => { dom.querySelector('br').textContent = 'x'; }, /void or self-closing/);
+        assert.throws(() => { dom.querySelector('img').innerText = 'x'; }, /void or self-closing/);
+    });
+
+    await t.test('innerText renders blocks, line breaks and table cells', () => {
+        const dom = parser.parse(
+            '<div>  Hello   <b>big</b>\n world<p>One</p><p>Two<br>Three</p>' +
+            '<table><tr><td>a</td><td>b</td></tr><tr><td>c</td></tr></table><ul><li>x</li><li>y</li></ul></div>'
+        );
+
+        assert.strictEqual(dom.querySelector('div').innerText, 'Hello big world\n\nOne\n\nTwo\nThree\n\na\tb\nc\nx\ny');
+    });
+
+    await t.test('innerText keeps preformatted text and leaves out unrendered content', () => {
+        const blocks = new SimpleHtmlParser(['script', 'style']);
+        const dom = blocks.parse(
+            '<head><title>T</title></head><body><pre>  a\n  b</pre><script>x();</script>' +
+            '<style>p {}</style><template>t</template>End</body>'
+        );
+
+        assert.strictEqual(dom.querySelector('body').innerText, '  a\n  b\nEnd');
+        assert.strictEqual(dom.querySelector('title').innerText, 'T');
+        assert.strictEqual(dom.querySelector('script').innerText, 'x();');
+    });
+
+    await t.test('setting innerText escapes the text', () => {
+        const dom = parser.parse('<p>old</p>');
+
+        dom.querySelector('p').innerText = 'a < b';
+
+        assert.strictEqual(dom.toHtml(), '<p>a &lt; b</p>');
+        assert.strictEqual(dom.querySelector('p').innerText, 'a < b');
+    });
+
+    await t.test('attribute selectors match decoded values', () => {
+        const dom = parser.parse('<a data-q="a&amp;b">x</a>');
+
+        assert.ok(dom.querySelector('[data-q="a&b"]'));
+    });
+
+    await t.test('createNode and updateAttribute escape plain text', () => {
+        const dom = parser.parse('<div class="a"></div>');
+        const div = dom.querySelector('div');
+
+        div.updateAttribute('class', 'b&c');
+        div.appendChild(...div.createNode('span', { title: '"q"' }, '1 < 2'));
+
+        assert.strictEqual(dom.toHtml(), '<div class="a b&amp;c"><span title="&quot;q&quot;">1 &lt; 2</span></div>');
+    });
+});
+
+test('Node - Element traversal', async(t) => {
+    const parser = new SimpleHtmlParser();
+
+    await t.test('child element properties skip text, comments and closing tags', () => {
+        const dom = parser.parse('<ul>\n  <li>a</li>\n  <!-- b -->\n  <li>c</li>\n</ul>');
+        const list = dom.querySelector('ul');
+        const items = dom.querySelectorAll('li');
+
+        assert.deepStrictEqual(list.childElements, items);
+        assert.strictEqual(list.childElementCount, 2);
+        assert.strictEqual(list.firstElementChild, items[0]);
+        assert.strictEqual(list.lastElementChild, items[1]);
+        assert.strictEqual(items[0].firstElementChild, null);
+        assert.strictEqual(items[0].childElementCount, 0);
+    });
+
+    await t.test('element siblings step over everything but elements', () => {
+        const dom = parser.parse('<ul>\n  <li>a</li>\n  <!-- b -->\n  <li>c<li>d\n</ul>');
+        const [a, c, d] = dom.querySelectorAll('li');
+
+        assert.strictEqual(a.nextElementSibling, c);
+        assert.strictEqual(c.nextElementSibling, d);
+        assert.strictEqual(d.nextElementSibling, null);
+        assert.strictEqual(d.previousElementSibling, c);
+        assert.strictEqual(c.previousElementSibling, a);
+        assert.strictEqual(a.previousElementSibling, null);
+    });
+
+    await t.test('siblings treat closing tags as part of their element', () => {
+        const dom = parser.parse('<p>a</p>text<!-- c --><br><b>x</b>');
+        const [p, closeP, text, comment, br, bold] = dom.children;
+
+        assert.strictEqual(closeP.type, 'tag-close');
+        assert.strictEqual(p.nextSibling, text);
+        assert.strictEqual(text.previousSibling, p);
+        assert.strictEqual(text.nextSibling, comment);
+        assert.strictEqual(comment.nextSibling, br);
+        assert.strictEqual(br.nextSibling, bold);
+        assert.strictEqual(bold.nextSibling, null);
+        assert.strictEqual(p.previousSibling, null);
+        assert.strictEqual(closeP.nextSibling, text);
+        assert.strictEqual(closeP.previousSibling, null);
+        assert.strictEqual(closeP.nextElementSibling, br);
+    });
+
+    await t.test('stray closing tags are siblings but not elements', () => {
+        const dom = parser.parse('<div><i>a</i></span><b>b</b></div>');
+        const italic = dom.querySelector('i');
+        const bold = dom.querySelector('b');
+
+        assert.strictEqual(italic.nextSibling.type, 'tag-close');
+        assert.strictEqual(italic.nextSibling.name, 'span');
+        assert.strictEqual(bold.previousSibling, italic.nextSibling);
+        assert.strictEqual(italic.nextElementSibling, bold);
+    });
+
+    await t.test('parentElement is null outside elements', () => {
+        const dom = parser.parse('<div><p>x</p></div>');
+        const div = dom.querySelector('div');
+
+        assert.strictEqual(div.querySelector('p').parentElement, div);
+        assert.strictEqual(div.parentElement, null);
+        assert.strictEqual(dom.parentElement, null);
+        assert.strictEqual(dom.nextSibling, null);
+    });
+});
+
 test('Node - Edge cases', async(t) => {
     const parser = new SimpleHtmlParser();
 